@@ -0,0 +1,111 @@
+/**
+ * Type definitions for the StateHelper bundle
+ */
+
+import StateMachine = require('./StateMachine');
+
+declare namespace StateHelper
+{
+    interface ObjectHelperData<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        name            : S | '';
+        index           : number;
+        paused          : boolean;
+        context         : C;
+        is              : { [K in S]?: true };
+        actions         : { [K in A]?: true };
+        states          : { [K in S]?: true };
+        all             : { states: S[], actions: A[] };
+    }
+
+    interface ObjectHelper<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+        data            : ObjectHelperData<S, A, C>;
+        update (): void;
+        reset (): void;
+    }
+
+    interface jQueryHelper<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+        elements        : { states: any, controls: any };
+        selectors       : { state: string, control: string };
+        update (): void;
+        updateStates (): void;
+        updateButtons (): void;
+    }
+
+    interface StoreSnapshot<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        state           : S | '' | StateMachine.Snapshot;
+        actions         : A[];
+        paused          : boolean;
+        context         : C;
+    }
+
+    interface StoreAction<A extends string = string>
+    {
+        type            : A;
+        payload?        : any;
+    }
+
+    interface StoreHelper<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+        getState (): StoreSnapshot<S, A, C>;
+        dispatch (action: StoreAction<A>): Promise<S>;
+        subscribe (listener: () => void): () => void;
+        update (): void;
+    }
+
+    interface ReactValue<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+        state           : S | '' | StateMachine.Snapshot;
+        context         : C;
+        isPaused        : boolean;
+        can (action: A, ...rest: any[]): boolean;
+        do (action: A, ...rest: any[]): Promise<S>;
+        go (state: S, force?: boolean): Promise<S>;
+    }
+
+    interface ReactBindings
+    {
+        useStateMachine<S extends string = string, A extends string = string, C extends object = StateMachine.Context> (fsm?: StateMachine<S, A, C> | (() => StateMachine<S, A, C>)): ReactValue<S, A, C>;
+        StateMachineProvider (props: { fsm: StateMachine<any, any, any>, children?: any }): any;
+    }
+
+    /**
+     * Creates an ObjectHelper, which keeps a plain data object in sync with the StateMachine
+     */
+    function object<S extends string, A extends string, C extends object> (fsm: StateMachine<S, A, C>): ObjectHelper<S, A, C>;
+
+    /**
+     * Creates a jQueryHelper, which binds state and control elements to the StateMachine
+     */
+    function jQuery<S extends string, A extends string, C extends object> (fsm: StateMachine<S, A, C>, states?: string, controls?: string, state?: string, control?: string): jQueryHelper<S, A, C>;
+
+    interface VueRouterOptions
+    {
+        params?         : (to: any, from: any) => any[];
+        force?          : boolean;
+    }
+
+    /**
+     * Syncs a VueRouter instance with an ObjectHelper's StateMachine, running transitions as routes change
+     */
+    function vueRouter (router: any, object: ObjectHelper<any, any, any>, options?: VueRouterOptions): void;
+
+    /**
+     * Creates a StoreHelper, which exposes the StateMachine as a Redux / Flux-style store
+     */
+    function store<S extends string, A extends string, C extends object> (fsm: StateMachine<S, A, C>): StoreHelper<S, A, C>;
+
+    /**
+     * Creates React bindings, using the passed React library
+     */
+    function react (React: any): ReactBindings;
+}
+
+export = StateHelper;
@@ -0,0 +1,625 @@
+/**
+ * Type definitions for StateMachine
+ *
+ * Machines are generic over their state (S) and action (A) string unions, and their context (C):
+ *
+ *     const fsm = new StateMachine<'intro' | 'form', 'next' | 'back'>({ ... });
+ *     fsm.do('nxt');           // error
+ *     fsm.on('intro:entr', fn) // error
+ *
+ * Both default to string, so untyped machines accept any state or action
+ */
+
+// ------------------------------------------------------------------------------------------------
+// StateMachine
+
+declare class StateMachine<S extends string = string, A extends string = string, C extends object = StateMachine.Context>
+{
+    constructor (options: StateMachine.Config<S, A, C>);
+
+    // properties
+    config      : StateMachine.Config<S, A, C> & StateMachine.ConfigDefaults;
+    transitions : StateMachine.TransitionMap<S, A>;
+    handlers    : StateMachine.HandlerMap<S, A, C>;
+    history     : StateMachine.History<S, A>;
+    plugins     : StateMachine.Plugins<S, A, C>;
+    transition  : StateMachine.Transition<S, A, C> | null;
+    state       : S | '' | StateMachine.Snapshot;
+    context     : C;
+    queue       : StateMachine.QueueItem<A>[];
+    timers      : any[];
+    activities  : { [state: string]: () => void };
+    regions     : { [name: string]: StateMachine } | null;
+
+    // initialisation
+    start (): this;
+    reset (initial?: S | StateMachine.Snapshot): this;
+
+    // api
+    do (action: A, ...rest: any[]): Promise<S>;
+    go (state: S, force?: boolean): Promise<S>;
+    back (force?: boolean): Promise<S>;
+    forward (force?: boolean): Promise<S>;
+
+    // queries
+    canBack (force?: boolean): boolean;
+    canForward (force?: boolean): boolean;
+    canDo (action: A, ...rest: any[]): boolean;
+    canGo (state: S): boolean;
+    has (state: S): boolean;
+    is (state: S): boolean;
+    isStarted (): boolean;
+    isTransitioning (): boolean;
+    isPaused (): boolean;
+    isComplete (): boolean;
+
+    // transitions
+    pause (): this;
+    resume (): this;
+    cancel (): this;
+    end (): this;
+
+    // modification
+    add (transition: string): this;
+    add (action: A, from: S | '*', to: S | StateMachine.StateResolver<S>, guard?: StateMachine.Guard<S, A> | string, after?: number | string, assign?: StateMachine.Assign<C> | string): this;
+    remove (state: S): this;
+
+    // handlers
+    on<T extends string> (id: T & StateMachine.HandlerId<T, S, A>, fn: StateMachine.Handler<S, A, C>, options?: StateMachine.HandlerOptions): StateMachine.Unsubscribe<S, A, C>;
+    once<T extends string> (id: T & StateMachine.HandlerId<T, S, A>, fn: StateMachine.Handler<S, A, C>, options?: { priority?: number }): StateMachine.Unsubscribe<S, A, C>;
+    off<T extends string> (id: T & StateMachine.HandlerId<T, S, A>, fn?: StateMachine.Handler<S, A, C>): this;
+    trigger (id: string, ...rest: any[]): this;
+
+    // plugins
+    use (plugin: StateMachine.Plugin<S, A, C> | ((fsm: this) => StateMachine.Plugin<S, A, C>)): this;
+
+    // serialization
+    toJSON (): StateMachine.Data<S, A, C>;
+
+    // static methods
+    static create<S extends string = string, A extends string = string, C extends object = StateMachine.Context> (options: StateMachine.Config<S, A, C>): StateMachine<S, A, C>;
+    static fromJSON<S extends string = string, A extends string = string, C extends object = StateMachine.Context> (data: StateMachine.Data<S, A, C> | string, options?: StateMachine.Config<S, A, C>): StateMachine<S, A, C>;
+    static validate (options: StateMachine.Config<string, string, any>): StateMachine.Diagnostic[];
+    static getDefaultOrder (): string[];
+
+    // static properties
+    static tracers: {
+        console (options?: { prefix?: string, console?: { log (line: string): void } }): StateMachine.Tracer;
+        recorder (): StateMachine.Recorder;
+    };
+}
+
+declare namespace StateMachine
+{
+    // ------------------------------------------------------------------------------------------------
+    // config
+
+    type Context = { [name: string]: any };
+
+    interface Config<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        transitions?    : Array<string | TransitionConfig<S, A, C>>;
+        handlers?       : { [id: string]: Handler<S, A, C> };
+        methods?        : { [name: string]: (...args: any[]) => any };
+        states?         : { [K in S]?: StateConfig<S, A, C> };
+        regions?        : { [name: string]: Config };
+        schemas?        : { [K in A]?: Schema | Schema[] };
+        context?        : C;
+        scope?          : object | null;
+        start?          : boolean;
+        initial?        : S;
+        final?          : S;
+        invalid?        : boolean;
+        errors?         : 0 | 1 | 2 | ErrorReporter;
+        trace?          : boolean | Tracer;
+        plugins?        : Array<Plugin<S, A, C> | ((fsm: StateMachine<S, A, C>) => Plugin<S, A, C>)>;
+        history?        : number;
+        queue?          : 'queue' | 'drop' | 'cancel';
+        clock?          : Clock;
+        order?          : string[];
+        defaults?       : { action?: ActionEventType, state?: StateEventType };
+    }
+
+    interface ConfigDefaults
+    {
+        order           : string[];
+        defaults        : { action: ActionEventType, state: StateEventType };
+    }
+
+    interface TransitionConfig<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        action          : A;
+        from            : S | '*';
+        to              : S | StateResolver<S>;
+        guard?          : Guard<S, A> | string;
+        after?          : number | string;
+        assign?         : Assign<C> | string;
+    }
+
+    interface StateConfig<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        enter?          : Handler<S, A, C>;
+        leave?          : Handler<S, A, C>;
+        activity?       : (signal: AbortSignal | null, fsm: StateMachine<S, A, C>) => void | (() => void);
+    }
+
+    interface Clock
+    {
+        setTimeout (fn: () => void, delay: number): any;
+        clearTimeout (timer: any): void;
+    }
+
+    interface Schema
+    {
+        type?                   : SchemaType | SchemaType[];
+        enum?                   : any[];
+        const?                  : any;
+        minimum?                : number;
+        maximum?                : number;
+        minLength?              : number;
+        maxLength?              : number;
+        pattern?                : string;
+        items?                  : Schema;
+        minItems?               : number;
+        maxItems?               : number;
+        properties?             : { [name: string]: Schema };
+        required?               : string[];
+        additionalProperties?   : boolean;
+    }
+
+    type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+    type StateResolver<S extends string> = (...params: any[]) => S;
+
+    type Guard<S extends string = string, A extends string = string> = (transition: TransitionMeta<S, A>, fsm: StateMachine<S, A, any>, ...params: any[]) => any;
+
+    type Assign<C extends object = Context> =
+        | ((context: C, ...params: any[]) => Partial<C>)
+        | { [K in keyof C]?: C[K] | ((context: C, ...params: any[]) => C[K]) };
+
+
+    // ------------------------------------------------------------------------------------------------
+    // handlers
+
+    type StateEventType         = 'enter' | 'leave';
+    type ActionEventType        = 'start' | 'end';
+    type SystemEventType        = 'start' | 'change' | 'complete' | 'reset' | 'history' | 'context';
+    type TransitionEventType    = 'pause' | 'resume' | 'cancel';
+
+    /**
+     * A single handler path, i.e. 'change', 'intro:enter', '@next:start', 'next:end' or 'intro@next'
+     */
+    type HandlerPath<S extends string = string, A extends string = string> =
+        | SystemEventType
+        | TransitionEventType
+        | `system.${SystemEventType}`
+        | `transition.${TransitionEventType}`
+        | `${'state' | 'action'}.${'add' | 'remove'}`
+        | S
+        | `#${S}`
+        | `${S}:${StateEventType}`
+        | `#${S}:${StateEventType}`
+        | `:${StateEventType}`
+        | `${S}@${A}`
+        | `${S}@${A}:start`
+        | `#${S}@${A}`
+        | `@${A}`
+        | `@${A}:${ActionEventType}`
+        | `${A}:${ActionEventType}`
+        | `:${ActionEventType}`;
+
+    /**
+     * A negated state or action path, i.e. '!intro:enter', which runs for every other state or action
+     */
+    type NegatedHandlerPath<S extends string = string, A extends string = string> =
+        `!${Exclude<HandlerPath<S, A>, SystemEventType | TransitionEventType | `${'system' | 'transition' | 'state' | 'action'}.${string}` | `:${string}`>}`;
+
+    /**
+     * A handler path with a jQuery-style tag, i.e. 'change.analytics', or a lone tag, i.e. '.analytics'
+     *
+     * Bare state names can't be tagged, as the dot would make them nested states
+     */
+    type TaggedHandlerPath<S extends string = string, A extends string = string> =
+        | `${Exclude<HandlerPath<S, A>, S>}.${string}`
+        | `.${string}`;
+
+    /**
+     * Validates a handler id of one or more space-separated paths, resolving to never if any path is invalid
+     *
+     * Paths within (groups), comma-separated lists and patterns can't be checked, so are allowed
+     */
+    type HandlerId<T extends string, S extends string = string, A extends string = string> =
+        T extends `${infer Head} ${infer Rest}`
+            ? Head extends HandlerPath<S, A> | NegatedHandlerPath<S, A> | TaggedHandlerPath<S, A> | HandlerGroup | HandlerPattern | ''
+                ? [HandlerId<Rest, S, A>] extends [never] ? never : T
+                : never
+            : T extends HandlerPath<S, A> | NegatedHandlerPath<S, A> | TaggedHandlerPath<S, A> | HandlerGroup | HandlerPattern
+                ? T
+                : never;
+
+    type HandlerGroup = `${string}(${string}` | `${string})${string}` | `${string},${string}` | `${string}|${string}`;
+
+    /**
+     * Paths with glob or regular expression states or actions, i.e. 'step*:enter' or '/^admin_/:leave', which can't be checked
+     */
+    type HandlerPattern = `${string}*${string}` | `${string}/${string}/${string}`;
+
+    type Handler<S extends string = string, A extends string = string, C extends object = Context> =
+        (event: Event<S, A, C>, fsm: StateMachine<S, A, C>, ...params: any[]) => boolean | void | PromiseLike<any>;
+
+    /**
+     * Removes the handler added by on() or once(), with the StateMachine's handler methods for chaining
+     */
+    interface Unsubscribe<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        (): void;
+        on<T extends string> (id: T & HandlerId<T, S, A>, fn: Handler<S, A, C>, options?: HandlerOptions): Unsubscribe<S, A, C>;
+        once<T extends string> (id: T & HandlerId<T, S, A>, fn: Handler<S, A, C>, options?: { priority?: number }): Unsubscribe<S, A, C>;
+        off<T extends string> (id: T & HandlerId<T, S, A>, fn?: Handler<S, A, C>): Unsubscribe<S, A, C>;
+    }
+
+
+    // ------------------------------------------------------------------------------------------------
+    // events
+
+    type Event<S extends string = string, A extends string = string, C extends object = Context> =
+        | StateEvent<S, A, C>
+        | ActionEvent<S, A, C>
+        | SystemEvent<S, A, C>
+        | TransitionEvent<S, A, C>;
+
+    /**
+     * Properties and methods shared by all events
+     */
+    interface BaseEvent<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        transition                  : Transition<S, A, C> | null;
+        timestamp                   : number;
+        readonly action             : A | '';
+        readonly from               : S | '';
+        readonly to                 : S | '';
+        readonly params             : any[];
+        defaultPrevented            : boolean;
+        propagationStopped          : boolean;
+        immediatePropagationStopped : boolean;
+
+        pause (): this;
+        resume (): this;
+        cancel (): this;
+        preventDefault (): this;
+        stopPropagation (): this;
+        stopImmediatePropagation (): this;
+    }
+
+    interface StateEvent<S extends string = string, A extends string = string, C extends object = Context> extends BaseEvent<S, A, C>
+    {
+        namespace       : 'state';
+        type            : StateEventType | A | 'add' | 'remove';
+        target          : S | '*';
+        context         : C | null;
+    }
+
+    interface ActionEvent<S extends string = string, A extends string = string, C extends object = Context> extends BaseEvent<S, A, C>
+    {
+        namespace       : 'action';
+        type            : ActionEventType | 'add' | 'remove';
+        target          : A | '*';
+        context         : C | null;
+    }
+
+    interface SystemEvent<S extends string = string, A extends string = string, C extends object = Context> extends BaseEvent<S, A, C>
+    {
+        namespace       : 'system';
+        type            : SystemEventType;
+        value           : any;
+        region          : string;
+    }
+
+    interface TransitionEvent<S extends string = string, A extends string = string, C extends object = Context> extends BaseEvent<S, A, C>
+    {
+        namespace       : 'transition';
+        type            : TransitionEventType;
+        value           : boolean;
+    }
+
+
+    // ------------------------------------------------------------------------------------------------
+    // classes
+
+    interface HandlerInfo<S extends string = string, A extends string = string>
+    {
+        path            : string;
+        name            : string;
+        handler         : Function;
+        action          : A | '';
+        from            : S;
+        to              : S;
+    }
+
+    interface Plugin<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        beforeAction? (action: A, params: any[], fsm: StateMachine<S, A, C>): boolean | void;
+        beforeHandler? (info: HandlerInfo<S, A>, fsm: StateMachine<S, A, C>): boolean | void;
+        afterHandler? (info: HandlerInfo<S, A> & { result: 'continue' | 'pause' | 'cancel' | 'wait', value: any }, fsm: StateMachine<S, A, C>): void;
+        afterTransition? (transition: Transition<S, A, C>, fsm: StateMachine<S, A, C>): void;
+        onError? (error: StateMachineError, fsm: StateMachine<S, A, C>): void;
+        onAdd? (type: 'state' | 'action', name: string, fsm: StateMachine<S, A, C>): void;
+        onRemove? (type: 'state' | 'action', name: string, fsm: StateMachine<S, A, C>): void;
+    }
+
+    interface Plugins<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        items           : Plugin<S, A, C>[];
+        parent          : Plugins | null;
+        add (plugin: Plugin<S, A, C>): this;
+        remove (plugin: Plugin<S, A, C>): this;
+        call (hook: keyof Plugin, ...rest: any[]): boolean;
+    }
+
+    interface Transition<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+        action          : A | '';
+        from            : S;
+        to              : S;
+        paused          : boolean;
+        handlers        : Array<() => any>;
+        params          : any[];
+        step            : number;
+        promise         : Promise<S>;
+        exec (): this;
+        pause (): this;
+        resume (): this;
+        cancel (): void;
+        clear (): void;
+    }
+
+    interface TransitionMeta<S extends string = string, A extends string = string>
+    {
+        action          : A;
+        from            : S | '*';
+        to              : S | StateResolver<S>;
+        guard?          : Guard<S, A> | string;
+        after?          : number;
+        assign?         : Assign<any> | string;
+    }
+
+    interface TransitionMap<S extends string = string, A extends string = string>
+    {
+        fsm             : StateMachine<S, A, any> | null;
+        states          : S[];
+        actions         : A[];
+
+        parse (tx: string | TransitionConfig<S, A, any>): TransitionMeta<S, A>[];
+        add (action: A, from: S | '*', to: S | StateResolver<S>, guard?: Guard<S, A> | string, after?: number | string, assign?: Assign<any> | string): this;
+        remove (state: S): this;
+
+        getActionsFrom (from: S): A[];
+        getActionsFrom (from: S, asMap: true): { [K in A]?: S | StateResolver<S> };
+        getActionFor (from: S, to: S): A | null;
+        getStatesFrom (from: S): S[] | null;
+        getStateFor (from: S, action: A): S | StateResolver<S> | undefined;
+        getGuardFor (from: S, action: A): Guard<S, A> | string | undefined;
+        getDelayFor (from: S, action: A): number | undefined;
+        getDelaysFrom (from: S): { [K in A]?: number };
+        getAssignFor (from: S, action: A): Assign<any> | string | undefined;
+        getParents (state: S): S[];
+        getTransitions (): TransitionMeta<S, A>[];
+        getStates (): S[];
+        getActions (): A[];
+        get (...path: string[]): any;
+
+        hasState (state: string): state is S;
+        isCompound (state: S): boolean;
+        hasAction (action: string): action is A;
+        hasTransition (action: A, from: S, to: S): boolean;
+        isAllowed (from: S, action: A, params?: any[]): boolean;
+        has (...path: string[]): boolean;
+
+        toDot (options?: ExportOptions<S>): string;
+        toMermaid (options?: ExportOptions<S>): string;
+    }
+
+    interface HandlerMap<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        fsm             : StateMachine<S, A, C>;
+
+        parse (id: string): Array<HandlerMeta | ParseError>;
+        add (path: string, fn: Handler<S, A, C>, options?: HandlerOptions): this;
+        remove (path: string, fn?: Handler<S, A, C>, patterns?: HandlerPatterns): this;
+        removeTag (tag: string, path?: string): this;
+        removePattern (path: string, patterns: HandlerPatterns & { tag?: string }, fn?: Handler<S, A, C>): this;
+        getOptions (path: string, fn: Handler<S, A, C>, patterns?: HandlerPatterns): { priority: number, once: boolean, tag: string, exclude: Array<string | RegExp> | null, match: RegExp[] | null } | null;
+        expire (path: string, fn: Handler<S, A, C>, patterns?: HandlerPatterns): this;
+        get (path: string, target?: string): Handler<S, A, C>[] | undefined;
+        getRecords (path: string, target?: string): Array<{ fn: Handler<S, A, C>, priority: number, once: boolean, tag: string, exclude: Array<string | RegExp> | null, match: RegExp[] | null }>;
+        trigger (path: string, value?: any, region?: string): void;
+    }
+
+    interface HandlerPatterns
+    {
+        match?          : RegExp[] | null;
+        exclude?        : Array<string | RegExp> | null;
+    }
+
+    interface HandlerOptions
+    {
+        priority?       : number;
+        once?           : boolean;
+        tag?            : string;
+    }
+
+    interface HandlerMeta
+    {
+        id              : string;
+        path            : string;
+        namespace       : '' | 'system' | 'transition' | 'state' | 'action' | 'state/action';
+        target          : string;
+        tag             : string;
+        exclude         : Array<string | RegExp> | null;
+        match           : RegExp[] | null;
+    }
+
+    // errors
+
+    type ErrorCode =
+        | 'ERR_STATE_MACHINE'
+        | 'ERR_PARSE'
+        | 'ERR_CONFIG'
+        | 'ERR_UNKNOWN_METHOD'
+        | 'ERR_MISSING_MACHINE'
+        | 'ERR_HANDLER'
+        | 'ERR_UNKNOWN_TARGET'
+        | 'ERR_STATE_NOT_FOUND'
+        | 'ERR_TRANSITION'
+        | 'ERR_ACTION_UNAVAILABLE'
+        | 'ERR_CANCELLED'
+        | 'ERR_INTERRUPTED'
+        | 'ERR_DROPPED'
+        | 'ERR_CLEARED'
+        | 'ERR_BLOCKED'
+        | 'ERR_INVALID_PARAMS';
+
+    type DiagnosticCode =
+        | 'ERR_PARSE'
+        | 'ERR_CONFIG'
+        | 'ERR_UNKNOWN_TARGET'
+        | 'ERR_CONFLICTING_TRANSITION'
+        | 'ERR_DUPLICATE_TRANSITION'
+        | 'ERR_UNREACHABLE_STATE'
+        | 'ERR_DEAD_END_STATE'
+        | 'ERR_UNREACHABLE_ACTION';
+
+    type ErrorReporter = (error: StateMachineError, fsm: StateMachine<any, any, any>) => void;
+
+    class StateMachineError extends Error
+    {
+        constructor (message: string, details?: { [key: string]: any }, code?: ErrorCode);
+        code            : ErrorCode;
+        details         : { [key: string]: any };
+    }
+
+    class ParseError extends StateMachineError
+    {
+        details         : { source?: string, id?: string, path?: string, position?: number };
+    }
+
+    class ConfigError extends StateMachineError {}
+
+    class HandlerError extends StateMachineError
+    {
+        details         : { id?: string, path?: string, state?: string, action?: string };
+    }
+
+    class StateNotFoundError extends StateMachineError
+    {
+        details         : { state: string, action?: string, from?: string };
+    }
+
+    class TransitionError extends StateMachineError
+    {
+        details         : { action?: string, from?: string, to?: string, state?: string };
+    }
+
+    class ValidationError extends StateMachineError
+    {
+        details         : { action: string, errors: string[] };
+    }
+
+    interface History<S extends string = string, A extends string = string>
+    {
+        entries         : HistoryEntry<S, A>[];
+        index           : number;
+        limit           : number;
+        getBack (): HistoryEntry<S, A> | undefined;
+        getForward (): HistoryEntry<S, A> | undefined;
+    }
+
+    interface HistoryEntry<S extends string = string, A extends string = string>
+    {
+        action          : A | '';
+        from            : S;
+        to              : S;
+        params          : any[];
+    }
+
+
+    // ------------------------------------------------------------------------------------------------
+    // misc
+
+    interface Snapshot
+    {
+        [region: string]: string;
+    }
+
+    interface QueueItem<A extends string = string>
+    {
+        action          : A | 'back' | 'forward';
+        params          : any[];
+        step?           : -1 | 1;
+    }
+
+    interface ExportOptions<S extends string = string>
+    {
+        initial?        : S;
+        final?          : S;
+        wildcards?      : 'node' | 'expand';
+    }
+
+    // tracing
+
+    interface TraceHandlerEntry<T extends 'handler' | 'settle'>
+    {
+        type            : T;
+        path            : string;
+        name            : string;
+        handler         : Function;
+        action          : string;
+        from            : string;
+        to              : string;
+        result          : 'continue' | 'pause' | 'cancel' | 'wait';
+        value           : any;
+        duration        : number;
+    }
+
+    type TraceEntry =
+        | { type: 'path', order: string, path: string, action: string, from: string, to: string, handlers: number }
+        | TraceHandlerEntry<'handler'>
+        | TraceHandlerEntry<'settle'>
+        | { type: 'event', path: string, value: any, region: string };
+
+    type Tracer = (entry: TraceEntry, fsm: StateMachine<any, any, any>) => void;
+
+    interface Recorder extends Tracer
+    {
+        entries         : TraceEntry[];
+        get<T extends TraceEntry['type']> (type: T): Array<Extract<TraceEntry, { type: T }>>;
+        clear (): void;
+    }
+
+    interface Diagnostic
+    {
+        level           : 'error' | 'warning';
+        code            : DiagnosticCode;
+        message         : string;
+        state?          : string;
+        action?         : string;
+        from?           : string;
+        to?             : any;
+        handler?        : string;
+        transition?     : any;
+        region?         : string;
+    }
+
+    interface Data<S extends string = string, A extends string = string, C extends object = Context>
+    {
+        state           : S | Snapshot;
+        context?        : C;
+        transitions?    : TransitionMeta<S, A>[];
+        transition?     : { action: A, from: S, to: S, params: any[], paused: boolean, remaining: number } | null;
+        history?        : { entries: HistoryEntry<S, A>[], index: number };
+        regions?        : { [name: string]: Data };
+    }
+}
+
+export = StateMachine;
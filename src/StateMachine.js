@@ -2,7 +2,15 @@ import Config from './core/classes/Config';
 import HandlerMap from './core/maps/HandlerMap';
 import TransitionMap from './core/maps/TransitionMap';
 import Transition from './core/classes/Transition';
-import { diff } from './core/utils/utils';
+import History from './core/classes/History';
+import Plugins from './core/classes/Plugins';
+import validate from './core/validators/ConfigValidator';
+import validateSchema from './core/validators/SchemaValidator';
+import * as errors from './core/objects/errors';
+import createConsoleTracer from './core/tracers/ConsoleTracer';
+import createRecorder from './core/tracers/Recorder';
+import { ConfigError, HandlerError, StateNotFoundError, TransitionError, ValidationError } from './core/objects/errors';
+import { diff, isString, isFunction } from './core/utils/utils';
 
 
 /**
@@ -13,8 +21,9 @@ import { diff } from './core/utils/utils';
  */
 function StateMachine (options)
 {
-    this.transitions    = new TransitionMap();
+    this.transitions    = new TransitionMap(this);
     this.handlers       = new HandlerMap(this);
+    this.plugins        = new Plugins();
     this.initialize(options);
 }
 
@@ -55,6 +64,27 @@ StateMachine.prototype =
          */
         handlers    : null,
 
+        /**
+         * Plugins added with use()
+         *
+         * @var {Plugins}
+         */
+        plugins     : null,
+
+        /**
+         * History of completed transitions
+         *
+         * @var {History}
+         */
+        history     : null,
+
+        /**
+         * Extended state data, replaced (never mutated) by transitions' assign updaters
+         *
+         * @var {Object}
+         */
+        context     : null,
+
         /**
          * Any active Transition object that is driving the state change
          *
@@ -63,12 +93,40 @@ StateMachine.prototype =
         transition  : null,
 
         /**
-         * The current state
+         * Any actions issued while transitioning, waiting to run, in the format {action, params}
+         *
+         * @var {Object[]}
+         */
+        queue       : null,
+
+        /**
+         * Ids of any timers scheduled for the current state's timed transitions
          *
-         * @var {string}
+         * @var {Array}
+         */
+        timers      : null,
+
+        /**
+         * A hash of state:stop functions for any running state activities
+         *
+         * @var {Object}
+         */
+        activities  : null,
+
+        /**
+         * The current state, or for parallel machines, a hash of region:state values
+         *
+         * @var {string|Object}
          */
         state       : '',
 
+        /**
+         * A hash of parallel region StateMachines, if configured
+         *
+         * @var {Object|null}
+         */
+        regions     : null,
+
 
     // -----------------------------------------------------------------------------------------------------------------
     // private methods
@@ -83,11 +141,20 @@ StateMachine.prototype =
         {
             // state
             this.state          = '';
+            this.queue          = [];
+            this.timers         = [];
+            this.activities     = {};
 
             // build config
             let config  = new Config(options);
             this.config = config;
 
+            // history
+            this.history = new History(config.history);
+
+            // context
+            this.context = Object.assign({}, config.context);
+
             // pre-process all transitions
             let transitions = [];
             if(Array.isArray(options.transitions))
@@ -101,25 +168,15 @@ StateMachine.prototype =
             // add transitions
             transitions.map( transition =>
             {
-                this.transitions.add(transition.action, transition.from, transition.to);
+                this.transitions.add(transition.action, transition.from, transition.to, transition.guard, transition.after, transition.assign);
             });
 
             // get initial state (must be done after state collation)
             if( ! config.initial )
             {
-                config.initial = this.transitions.getStates()[0];
-            }
-
-            // add handlers
-            if(options.handlers)
-            {
-                for(let name in options.handlers)
-                {
-                    if(options.handlers.hasOwnProperty(name))
-                    {
-                        this.on(name, options.handlers[name]);
-                    }
-                }
+                // the first declared "from" state, as collated states list parents before their nested states
+                let first       = transitions.filter( tx => tx.from !== '*' )[0];
+                config.initial  = first ? first.from : this.transitions.getStates()[0];
             }
 
             // add methods
@@ -138,6 +195,36 @@ StateMachine.prototype =
                 }
             }
 
+            // add regions (must be done before handlers, so they can be routed to regions)
+            if(options.regions)
+            {
+                addRegions(this, options);
+            }
+
+            // add state enter, leave and activity handlers (before handlers, so they run first)
+            if(options.states)
+            {
+                addStates(this, options.states);
+            }
+
+            // add plugins (before handlers, so they can see states and actions being added)
+            if(options.plugins)
+            {
+                options.plugins.forEach( plugin => this.use(plugin) );
+            }
+
+            // add handlers
+            if(options.handlers)
+            {
+                for(let name in options.handlers)
+                {
+                    if(options.handlers.hasOwnProperty(name))
+                    {
+                        this.on(name, options.handlers[name]);
+                    }
+                }
+            }
+
             // start
             if(this.config.start)
             {
@@ -150,34 +237,67 @@ StateMachine.prototype =
 
         start: function ()
         {
+            if(this.regions)
+            {
+                this.handlers.trigger('system.start');
+                getRegions(this).forEach( region => region.start() );
+                return this;
+            }
             this.state = this.config.initial;
             this.handlers.trigger('system.start');
             if(this.state)
             {
                 this.handlers.trigger('system.change', this.state);
             }
+            schedule(this);
+            updateActivities(this);
             return this;
         },
 
         /**
          * Reset the FSM to the initial, or supplied, state
          *
+         * For parallel machines, pass a hash of region:state values
+         *
          * @returns {StateMachine}
          */
         reset:function(initial = '')
         {
+            if(this.regions)
+            {
+                this.handlers.trigger('system.reset');
+                for(let name in this.regions)
+                {
+                    this.regions[name].reset(initial && initial[name]);
+                }
+                return this;
+            }
             let state = initial || this.config.initial;
             this.handlers.trigger('system.reset');
+            this.queue.splice(0).forEach( item =>
+            {
+                let error = new TransitionError('Action "' +item.action+ '" was cleared by a reset', {action: item.action}, 'ERR_CLEARED');
+                report(this, error, 0);
+                item.reject(error);
+            });
             if(this.transition)
             {
                 this.transition.cancel();
                 delete this.transition;
             }
+            if(this.history.entries.length)
+            {
+                this.history.clear();
+                this.handlers.trigger('system.history', this.history);
+            }
+            setContext(this, Object.assign({}, this.config.context));
             if(this.state !== state)
             {
                 this.state = state;
                 this.handlers.trigger('system.change', this.state);
             }
+            schedule(this);
+            updateActivities(this);
             return this;
         },
 
@@ -188,19 +308,31 @@ StateMachine.prototype =
         /**
          * Attempt to run an action, resulting in a transition to a state
          *
+         * Returns a Promise which resolves with the new state when the transition ends,
+         * or rejects if the action is unavailable or the transition is cancelled
+         *
+         * If a transition is already in progress, the action is queued, dropped, or cancels
+         * the current transition, depending on the queue config option
+         *
+         * If the action has a schema, parameters which don't match it are rejected before any transition is created
+         *
+         * Plugins' beforeAction hooks are called just before the transition is created, and may block the action
+         *
+         * Errors thrown by guards, function "to" states or handlers also reject the Promise, leaving the StateMachine
+         * in its previous state, though errors from creating the transition are thrown if the errors option is 2
+         *
          * @param   {string}    action
          * @param   {*[]}       rest
-         * @returns {boolean}
+         * @returns {Promise}
          */
         do: function (action, ...rest)
         {
-            if(this.canDo(action) && !this.isPaused())
+            if(this.regions)
             {
-                this.transition = Transition.create(this, action, rest);
-                this.transition.exec();
-                return true;
+                let regions = getRegions(this).filter( region => region.canDo(action, ...rest) && !region.isPaused() );
+                return dispatch(this, regions, region => region.do(action, ...rest), new TransitionError('Action "' +action+ '" is not available in any region', {action}, 'ERR_ACTION_UNAVAILABLE'));
             }
-            return false;
+            return perform(this, action, rest);
         },
 
         /**
@@ -208,55 +340,184 @@ StateMachine.prototype =
          *
          * Queries TransitionMap instance to see if a transition exists, then calls the related action if it does
          *
+         * Errors thrown by guards, or for unknown named guards, reject the Promise rather than being thrown
+         *
          * @param   {string}    state
          * @param   {boolean}   [force]
-         * @returns {boolean}
+         * @returns {Promise}
          */
         go: function (state, force = false)
         {
+            if(this.regions)
+            {
+                let regions = getRegions(this).filter( region => region.has(state) );
+                return dispatch(this, regions, region => region.go(state, force), new StateNotFoundError('No such state "' +state+ '"', {state}));
+            }
+            // go() warns rather than throws, so missing states can be tested for without a try/catch
+            let errors = isFunction(this.config.errors) ? this.config.errors : Math.min(this.config.errors, 1);
             if(this.has(state))
             {
                 if(force)
                 {
-                    if(this.transition)
-                    {
-                        this.transition.clear();
-                    }
-                    this.transition = Transition.force(this, state);
-                    return this.end();
+                    return jump(this, state);
+                }
+                let action;
+                try
+                {
+                    action = this.transitions.getActionFor(this.state, state);
+                }
+                catch(error)
+                {
+                    return reject(this, error, errors);
                 }
-                var action = this.transitions.getActionFor(this.state, state);
                 if(action)
                 {
                     return this.do(action);
                 }
-                this.config.errors > 0 && console.warn('No transition exists from "%s" to "%s"', this.state, state);
-                return false;
+                let error = new TransitionError('No transition exists from "' +this.state+ '" to "' +state+ '"', {from: this.state, to: state});
+                return reject(this, error, errors);
+            }
+            let error = new StateNotFoundError('No such state "' +state+ '"', {state});
+            return reject(this, error, errors);
+        },
+
+        /**
+         * Go back to the previous state in the history
+         *
+         * Runs the action which transitions to the previous state (firing handlers as normal), or if forced,
+         * skips any transition and goes straight to the state, in the same way as go(state, true)
+         *
+         * Unforced moves are handled in the same way as do(), so may be queued, dropped or cancel any current transition
+         *
+         * @param   {boolean}   [force]
+         * @returns {Promise}
+         */
+        back: function (force = false)
+        {
+            if(this.regions)
+            {
+                let regions = getRegions(this).filter( region => region.canBack(force) );
+                return dispatch(this, regions, region => region.back(force), new TransitionError('No region can go back'));
+            }
+            if(force)
+            {
+                return this.canBack(true)
+                    ? jump(this, this.history.getBack().from, -1)
+                    : reject(this, new TransitionError('Unable to go back from state "' +this.state+ '"', {from: this.state}));
+            }
+            return perform(this, 'back', [], -1);
+        },
+
+        /**
+         * Go forward to the next state in the history (after going back)
+         *
+         * Re-runs the original action and parameters (firing handlers as normal), or if forced,
+         * skips any transition and goes straight to the state, in the same way as go(state, true)
+         *
+         * Unforced moves are handled in the same way as do(), so may be queued, dropped or cancel any current transition
+         *
+         * @param   {boolean}   [force]
+         * @returns {Promise}
+         */
+        forward: function (force = false)
+        {
+            if(this.regions)
+            {
+                let regions = getRegions(this).filter( region => region.canForward(force) );
+                return dispatch(this, regions, region => region.forward(force), new TransitionError('No region can go forward'));
+            }
+            if(force)
+            {
+                return this.canForward(true)
+                    ? jump(this, this.history.getForward().to, 1)
+                    : reject(this, new TransitionError('Unable to go forward from state "' +this.state+ '"', {from: this.state}));
+            }
+            return perform(this, 'forward', [], 1);
+        },
+
+        /**
+         * Test if the FSM can go back to the previous state in the history
+         *
+         * @param   {boolean}   [force]     Test for a forced move, which doesn't require an action to the previous state
+         * @returns {boolean}
+         */
+        canBack: function (force = false)
+        {
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.canBack(force) );
             }
-            this.config.errors > 0 && console.warn('No such state "%s"', state);
-            return false;
+            let entry = this.history.getBack();
+            return !! entry
+                && !this.isPaused()
+                && (force || this.canGo(entry.from));
         },
 
         /**
-         * Query transition map to see if a named action is available
+         * Test if the FSM can go forward to the next state in the history
+         *
+         * @param   {boolean}   [force]     Test for a forced move, which doesn't require the original action to be available
+         * @returns {boolean}
+         */
+        canForward: function (force = false)
+        {
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.canForward(force) );
+            }
+            let entry = this.history.getForward();
+            return !! entry
+                && !this.isPaused()
+                && (force || this.canDo(entry.action, ...entry.params));
+        },
+
+        /**
+         * Query transition map to see if a named action is available, and allowed by any guard
+         *
+         * Guards which throw, or unknown named guards, are treated as not allowing the action
          *
          * @param   {string}        action
+         * @param   {*[]}           rest        Optional parameters to pass to any guard
          * @returns {boolean}
          */
-        canDo: function (action)
+        canDo: function (action, ...rest)
         {
-            return this.transitions.getActionsFrom(this.state).indexOf(action) !== -1;
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.canDo(action, ...rest) );
+            }
+            try
+            {
+                return isAvailable(this, action, rest);
+            }
+            catch(error)
+            {
+                return false;
+            }
         },
 
         /**
          * Query transition map to see if a state is available to go to
          *
+         * Guards which throw, or unknown named guards, are treated as not allowing the transition
+         *
          * @param to
          * @return {boolean}
          */
         canGo: function (to)
         {
-            return this.transitions.getActionFor(this.state, to) !== null;
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.canGo(to) );
+            }
+            try
+            {
+                return this.transitions.getActionFor(this.state, to) !== null;
+            }
+            catch(error)
+            {
+                return false;
+            }
         },
 
         /**
@@ -267,18 +528,26 @@ StateMachine.prototype =
          */
         has: function(state)
         {
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.has(state) );
+            }
             return this.transitions.hasState(state);
         },
 
         /**
-         * Test if the current state is the same as the supplied one
+         * Test if the current state is the same as the supplied one, or is nested within it
          *
          * @param   {string}    state       A state name to compare against the current state
          * @returns {boolean}
          */
         is: function (state)
         {
-            return state === this.state;
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.is(state) );
+            }
+            return state === this.state || this.state.indexOf(state + '.') === 0;
         },
 
 
@@ -292,6 +561,10 @@ StateMachine.prototype =
          */
         isStarted: function ()
         {
+            if(this.regions)
+            {
+                return getRegions(this).every( region => region.isStarted() );
+            }
             return this.state !== '';
         },
 
@@ -302,6 +575,10 @@ StateMachine.prototype =
          */
         isTransitioning: function ()
         {
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.isTransitioning() );
+            }
             return !! this.transition;
         },
 
@@ -312,6 +589,10 @@ StateMachine.prototype =
          */
         isPaused: function ()
         {
+            if(this.regions)
+            {
+                return getRegions(this).some( region => region.isPaused() );
+            }
             return this.transition
                 ? this.transition.paused
                 : false;
@@ -320,10 +601,16 @@ StateMachine.prototype =
         /**
          * Test if the FSM is on the "final" state
          *
+         * For parallel machines, all regions must be on their final states
+         *
          * @returns {boolean}
          */
         isComplete: function ()
         {
+            if(this.regions)
+            {
+                return getRegions(this).every( region => region.isComplete() );
+            }
             return this.state === this.config.final;
         },
 
@@ -338,6 +625,11 @@ StateMachine.prototype =
          */
         pause: function ()
         {
+            if(this.regions)
+            {
+                getRegions(this).forEach( region => region.pause() );
+                return this;
+            }
             if(this.transition && !this.isPaused())
             {
                 this.transition.pause();
@@ -352,6 +644,11 @@ StateMachine.prototype =
          */
         resume: function ()
         {
+            if(this.regions)
+            {
+                getRegions(this).forEach( region => region.resume() );
+                return this;
+            }
             if(this.transition && this.isPaused())
             {
                 this.transition.resume();
@@ -366,12 +663,28 @@ StateMachine.prototype =
          */
         cancel: function ()
         {
+            if(this.regions)
+            {
+                getRegions(this).forEach( region => region.cancel() );
+                return this;
+            }
             if(this.transition)
             {
-                this.state = this.transition.from;
-                this.transition.cancel();
+                // detach the transition first, so cancel handlers can't cancel it again
+                let transition = this.transition;
+                this.state = transition.from;
                 delete this.transition;
+                transition.cancel();
+                if(!this.transition)
+                {
+                    // timers were cleared when the transition started, so restart those of the "from" state
+                    schedule(this);
+                }
+                updateActivities(this);
+                dequeue(this);
+                return this;
             }
+            unschedule(this);
             return this;
         },
 
@@ -382,16 +695,52 @@ StateMachine.prototype =
          */
         end: function ()
         {
+            if(this.regions)
+            {
+                getRegions(this).forEach( region => region.end() );
+                return this;
+            }
             if(this.transition)
             {
-                this.state = this.transition.to;
-                this.transition.clear();
+                let transition = this.transition;
+                let context;
+                try
+                {
+                    context = getContext(this, transition);
+                }
+                catch(error)
+                {
+                    // unknown or throwing assign updaters fail the transition in the same way as throwing handlers
+                    transition.reject(error);
+                    return this.cancel();
+                }
+                this.state = transition.to;
+                transition.clear();
                 delete this.transition;
-                this.handlers.trigger('system.change', this.state);
-                if(this.isComplete())
+                transition.step
+                    ? this.history.go(transition.step)
+                    : this.history.add({action: transition.action, from: transition.from, to: transition.to, params: transition.params || []});
+                try
+                {
+                    // the context is replaced before any events, so the StateMachine is complete if a handler throws
+                    setContext(this, context);
+                    this.handlers.trigger('system.history', this.history);
+                    this.handlers.trigger('system.change', this.state);
+                    if(this.isComplete())
+                    {
+                        this.handlers.trigger('system.complete');
+                    }
+                    transition.resolve(this.state);
+                }
+                catch(error)
                 {
-                    this.handlers.trigger('system.complete');
+                    // the state has changed, but the Promise is rejected and the error reported, as for handlers
+                    transition.reject(error);
                 }
+                this.plugins.call('afterTransition', transition, this);
+                schedule(this);
+                updateActivities(this);
+                dequeue(this);
             }
             return this;
         },
@@ -403,23 +752,32 @@ StateMachine.prototype =
         /**
          * Add a transition
          *
-         * @param   {string}    action
-         * @param   {string}    from
-         * @param   {string}    to
+         * @param   {string}            action
+         * @param   {string}            from
+         * @param   {string}            to
+         * @param   {Function|string}   [guard]
+         * @param   {number|string}     [after]
+         * @param   {Function|Object|string}    [assign]
          * @return  {StateMachine}
          */
-        add: function (action, from, to)
+        add: function (action, from, to, guard, after, assign)
         {
             // 1 argument: shorthand transition, i.e 'next : a > b'
             if(arguments.length === 1)
             {
                 var transitions = this.transitions.parse(action);
-                transitions.map( tx => this.add(tx.action, tx.from, tx.to));
+                transitions.map( tx => this.add(tx.action, tx.from, tx.to, tx.guard, tx.after, tx.assign));
                 return this;
             }
 
-            // 3 arguments: longhand transition
-            updateTransitions(this, 'add', () => this.transitions.add(action, from, to) );
+            // parallel machines
+            if(this.regions)
+            {
+                throw new ConfigError('Transitions cannot be added to a parallel StateMachine; add them to one of its regions instead', {action, from, to});
+            }
+
+            // 3 or 4 arguments: longhand transition
+            updateTransitions(this, 'add', () => this.transitions.add(action, from, to, guard, after, assign) );
             return this;
         },
 
@@ -431,6 +789,13 @@ StateMachine.prototype =
          */
         remove: function (state)
         {
+            if(this.regions)
+            {
+                getRegions(this)
+                    .filter( region => region.has(state) )
+                    .forEach( region => region.remove(state) );
+                return this;
+            }
             this.handlers.remove('state.' + state);
             updateTransitions(this, 'remove', () => this.transitions.remove(state) );
             return this;
@@ -468,23 +833,106 @@ StateMachine.prototype =
          *
          * If your states and events are unique, they can also be used without qualification.
          *
+         * For parallel machines, state and action handlers are added to the regions with matching states and actions
+         *
          * See docs and demo for more information
          *
+         * Pass options to set the handler's priority (higher runs first; defaults to 0) or to run it only once
+         *
+         * Ids may end with a jQuery-style tag, i.e. 'change.analytics', so handlers can be removed in bulk with off('.analytics')
+         *
+         * Returns a function which removes the handler; it also has on(), once() and off() methods, so calls can be chained
+         *
          * @param   {string}        id
          * @param   {Function}      fn
-         * @return  {StateMachine}
+         * @param   {Object}        [options]   An object with priority and once properties
+         * @return  {Function}
          */
-        on: function (id, fn)
+        on: function (id, fn, options)
         {
+            let added = [];
             this.parse(id, this.config.invalid, this.config.errors)
-                .forEach( meta => this.handlers.add(meta.path, fn) );
-            return this;
+                .filter( meta => meta.path )
+                .forEach( meta => getHandlers(this, meta).forEach( handlers =>
+                {
+                    handlers.add(meta.path, fn, Object.assign({tag: meta.tag, exclude: meta.exclude, match: meta.match}, options));
+                    added.push([handlers, meta.path, meta]);
+                }));
+            return getUnsubscribe(this, added, fn);
+        },
+
+        /**
+         * Add an event handler which is removed after it is first called
+         *
+         * For ids which resolve to multiple paths, the handler is called once for each path
+         *
+         * @param   {string}        id
+         * @param   {Function}      fn
+         * @param   {Object}        [options]   An object with a priority property
+         * @return  {Function}
+         */
+        once: function (id, fn, options)
+        {
+            return this.on(id, fn, Object.assign({}, options, {once: true}));
         },
 
+        /**
+         * Remove an event handler, all handlers for an id, or all handlers with a tag
+         *
+         * - off('change', fn)          : removes fn from the change event
+         * - off('change')              : removes all change handlers
+         * - off('change.analytics')    : removes all change handlers tagged "analytics"
+         * - off('.analytics')          : removes all handlers tagged "analytics", for any event
+         * - off('step*:enter')         : removes only the handlers added with the same pattern
+         *
+         * @param   {string}        id
+         * @param   {Function}      [fn]
+         * @return  {StateMachine}
+         */
         off: function (id, fn)
         {
             this.parse(id, this.config.invalid, this.config.errors)
-                .forEach( meta => this.handlers.remove(meta.path, fn) );
+                .forEach( meta =>
+                {
+                    if(!meta.path)
+                    {
+                        return [this].concat(this.regions ? getRegions(this) : [])
+                            .forEach( fsm => fsm.handlers.removeTag(meta.tag) );
+                    }
+                    getHandlers(this, meta).forEach( handlers =>
+                    {
+                        if(meta.match || meta.exclude)
+                        {
+                            handlers.removePattern(meta.path, meta, fn);
+                        }
+                        else
+                        {
+                            meta.tag && !fn
+                                ? handlers.removeTag(meta.tag, meta.path)
+                                : handlers.remove(meta.path, fn, meta);
+                        }
+                    });
+                });
+            return this;
+        },
+
+
+    // -----------------------------------------------------------------------------------------------------------------
+    // plugins
+
+        /**
+         * Add a plugin, to intercept or decorate the core pipeline
+         *
+         * Plugins are objects with any of the hooks beforeAction, beforeHandler, afterHandler,
+         * afterTransition, onError, onAdd and onRemove; see Plugins for their signatures.
+         * Pass a function to have it called with the StateMachine and return the plugin
+         *
+         * @param   {Object|Function}   plugin
+         * @return  {StateMachine}
+         */
+        use: function (plugin)
+        {
+            this.plugins.add(isFunction(plugin) ? plugin(this) : plugin);
             return this;
         },
 
@@ -497,7 +945,7 @@ StateMachine.prototype =
          *
          * @param   {string}    id
          * @param   {boolean}   invalid
-         * @param   {number}    errors
+         * @param   {number|Function}   errors
          * @returns {HandlerMeta[]}
          */
         parse: function (id, invalid = false, errors = 0)
@@ -507,31 +955,39 @@ StateMachine.prototype =
                 // picks up unrecognised handlers, namespaces, etc
                 if(result instanceof Error)
                 {
-                    if(errors == 2)
+                    report(this, result, errors);
+                    return false;
+                }
+
+                // picks up unrecognised states and actions excluded by negated handlers
+                if(result.exclude)
+                {
+                    let type = result.namespace === 'action' ? 'action' : 'state';
+                    let name = result.exclude.filter( name => isString(name) && (type === 'action' ? !hasAction(this, name) : !this.has(name)) )[0];
+                    if(name)
                     {
-                        throw result;
+                        report(this, getTargetError(result, type, name), errors);
+                        return !!invalid;
                     }
-                    errors == 1 && console.warn(result.message);
-                    return false;
                 }
 
                 // picks up unrecognised states and actions
                 if(result.target !== '*')
                 {
-                    let error = '';
+                    let error = null;
 
                     if(result.namespace === 'state')
                     {
-                        if(!this.transitions.hasState(result.target))
+                        if(!this.has(result.target))
                         {
-                            error = 'Unrecognised state "' +result.target+ '" in handler "' +result.id+ '"';
+                            error = getTargetError(result, 'state', result.target);
                         }
                     }
                     else if(result.namespace === 'action')
                     {
-                        if(!this.transitions.hasAction(result.target))
+                        if(!hasAction(this, result.target))
                         {
-                            error = 'Unrecognised action "' +result.target+ '" in handler "' +result.id+ '"';
+                            error = getTargetError(result, 'action', result.target);
                         }
                     }
                     else if(result.namespace === 'state/action')
@@ -540,24 +996,20 @@ StateMachine.prototype =
                         let [state, action] = result.target.split('@');
 
                         // test for state and action
-                        if(!this.transitions.hasState(state))
+                        if(!this.has(state))
                         {
-                            error = 'Unrecognised state "' +state+ '" in handler "' +result.id+ '"';
+                            error = getTargetError(result, 'state', state);
                         }
-                        if(!this.transitions.hasAction(action))
+                        if(!hasAction(this, action))
                         {
-                            error = 'Unrecognised action "' +action+ '" in handler "' +result.id+ '"';
+                            error = getTargetError(result, 'action', action);
                         }
                     }
 
                     // if we have an error, the result was not an existing state or action
                     if(error)
                     {
-                        if(errors == 2)
-                        {
-                            throw new Error(error);
-                        }
-                        errors == 1 && console.warn(error);
+                        report(this, error, errors);
                         return !!invalid;
                     }
                 }
@@ -571,13 +1023,67 @@ StateMachine.prototype =
         {
             this.handlers.parse(id).map( meta => this.handlers.trigger.apply(this.handlers, [meta.path, ...rest]) );
             return this;
-        }
-
-};
-
-StateMachine.prototype.constructor = StateMachine;
+        },
 
-export default StateMachine;
+        /**
+         * Serialize the current state, transitions, history and any in-flight transition to a plain object
+         *
+         * Transitions with function "to" states or guards cannot be serialized, so are omitted
+         *
+         * @returns {Object}
+         */
+        toJSON: function ()
+        {
+            // parallel
+            if(this.regions)
+            {
+                let regions = {};
+                for(let name in this.regions)
+                {
+                    regions[name] = this.regions[name].toJSON();
+                }
+                return { state: this.state, regions };
+            }
+
+            // transitions
+            let transitions = this.transitions
+                .getTransitions()
+                .filter(isSerializable);
+
+            // in-flight transition
+            let transition = this.transition && this.transition.action
+                ? {
+                    action      : this.transition.action,
+                    from        : this.transition.from,
+                    to          : this.transition.to,
+                    params      : this.transition.params,
+                    paused      : this.transition.paused,
+                    remaining   : this.transition.handlers.length
+                }
+                : null;
+
+            // return
+            return { state: this.state, context: this.context, transitions, transition, history: this.history.toJSON() };
+        }
+
+};
+
+StateMachine.prototype.constructor = StateMachine;
+
+export default StateMachine;
+
+
+// ---------------------------------------------------------------------------------------------------------------------
+// static properties
+
+    // error classes, so errors can be tested with instanceof, i.e. error instanceof StateMachine.TransitionError
+    Object.assign(StateMachine, errors);
+
+    // built-in tracers, to pass to the trace option, i.e. trace: StateMachine.tracers.recorder()
+    StateMachine.tracers = {
+        console     : createConsoleTracer,
+        recorder    : createRecorder
+    };
 
 
 // ---------------------------------------------------------------------------------------------------------------------
@@ -594,8 +1100,45 @@ export default StateMachine;
         return new StateMachine(options);
     };
 
+    /**
+     * Restore a StateMachine from a snapshot created by toJSON()
+     *
+     * As handlers, methods and function transitions can't be serialized, pass the original options to restore them;
+     * the snapshot's transitions replace those in the options, except for any that couldn't be serialized, so states
+     * removed at runtime stay removed. The machine is restored without dispatching
+     * start or change events, and any in-flight transition is restored in a paused state
+     *
+     * @param   {Object|string}     data        A snapshot object or JSON string
+     * @param   {Object}            [options]   The original StateMachine options
+     * @returns {StateMachine}
+     */
+    StateMachine.fromJSON = function(data, options = {})
+    {
+        data    = isString(data) ? JSON.parse(data) : data;
+        let fsm = new StateMachine(Object.assign(merge(options, data), {start: false}));
+        restore(fsm, data);
+        return fsm;
+    };
+
+    /**
+     * Validate StateMachine options without creating a running machine
+     *
+     * Reports invalid, duplicate and conflicting transitions, unreachable states and actions, dead-end states,
+     * and handlers for unrecognised states or actions
+     *
+     * @param   {Object}    options     StateMachine options
+     * @returns {Object[]}              An array of {level, code, message} diagnostics, with any relevant details
+     */
+    StateMachine.validate = function(options)
+    {
+        return validate(options);
+    };
+
     /**
      * Gets the default order events should be called in
+     *
+     * The {exit} and {enter} tokens expand to all nested states being left or entered
+     *
      * @returns {string[]}
      */
     StateMachine.getDefaultOrder = function ()
@@ -605,10 +1148,10 @@ export default StateMachine;
             'action.{action}.start',
             'state.*.{action}',
             'state.{from}.{action}',
-            'state.{from}.leave',
+            'state.{exit}.leave',
             'state.*.leave',
             'state.*.enter',
-            'state.{to}.enter',
+            'state.{enter}.enter',
             'action.{action}.end',
             'action.*.end'
         ];
@@ -618,6 +1161,686 @@ export default StateMachine;
 // ---------------------------------------------------------------------------------------------------------------------
 // helper functions
 
+    /**
+     * Utility method to pre-handle a Promise returned from do() and go()
+     *
+     * This way, callers not interested in the result don't generate unhandled rejection warnings
+     *
+     * @param   {Promise}   promise
+     * @returns {Promise}
+     */
+    function handled(promise)
+    {
+        promise.catch(() => {});
+        return promise;
+    }
+
+    /**
+     * Utility method to run an action, or move through the history, returning a Promise
+     *
+     * If a transition is in progress, the action is queued, dropped, or cancels it, depending on the queue option.
+     * Then the parameters are checked against any schema, the action's availability and plugins' beforeAction hooks
+     * are tested, and the transition is created and run
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        action      The action, or for history moves, the name of the method (back or forward)
+     * @param   {Array}         params
+     * @param   {number}        [step]      -1 or 1 to go back or forward through the history, resolving the action when run
+     * @returns {Promise}
+     */
+    function perform(fsm, action, params, step = 0)
+    {
+        // transition in progress
+        if(fsm.transition)
+        {
+            if(fsm.config.queue === 'queue')
+            {
+                return enqueue(fsm, action, params, step);
+            }
+            if(fsm.config.queue === 'drop')
+            {
+                return reject(fsm, new TransitionError('Action "' +action+ '" was dropped as a transition is in progress', {action}, 'ERR_DROPPED'));
+            }
+            fsm.cancel();
+        }
+
+        // history moves
+        if(step)
+        {
+            if(!(step < 0 ? fsm.canBack() : fsm.canForward()))
+            {
+                return reject(fsm, new TransitionError('Unable to go ' +action+ ' from state "' +fsm.state+ '"', {from: fsm.state}));
+            }
+            let entry = step < 0 ? fsm.history.getBack() : fsm.history.getForward();
+            [action, params] = step < 0
+                ? [fsm.transitions.getActionFor(fsm.state, entry.from), []]
+                : [entry.action, entry.params];
+        }
+
+        // parameters
+        let error = getParamsError(fsm, action, params);
+        if(error)
+        {
+            return reject(fsm, error, fsm.config.errors);
+        }
+
+        // transition
+        let transition;
+        try
+        {
+            if(!isAvailable(fsm, action, params))
+            {
+                return reject(fsm, new TransitionError('Action "' +action+ '" is not available from state "' +fsm.state+ '"', {action, from: fsm.state}, 'ERR_ACTION_UNAVAILABLE'));
+            }
+            if(!fsm.plugins.call('beforeAction', action, params, fsm))
+            {
+                return reject(fsm, new TransitionError('Action "' +action+ '" was blocked by a plugin', {action, from: fsm.state}, 'ERR_BLOCKED'));
+            }
+            transition = Transition.create(fsm, action, params);
+        }
+        catch(error)
+        {
+            // unknown guards and invalid function "to" states reject, rather than throw, unless errors is 2
+            return reject(fsm, error, fsm.config.errors);
+        }
+        return run(fsm, transition, step);
+    }
+
+    /**
+     * Utility method to test if an action is available from the current state, and allowed by any guard
+     *
+     * Unlike canDo(), errors thrown by guards, or for unknown named guards, are not caught
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        action
+     * @param   {Array}         params
+     * @returns {boolean}
+     */
+    function isAvailable(fsm, action, params)
+    {
+        return !! fsm.transitions.getStateFor(fsm.state, action)
+            && fsm.transitions.isAllowed(fsm.state, action, params);
+    }
+
+    /**
+     * Utility method to run a transition, returning its Promise
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Transition}    transition
+     * @param   {number}        [step]      The number of history steps the transition moves through, if any
+     * @returns {Promise}
+     */
+    function run(fsm, transition, step = 0)
+    {
+        unschedule(fsm);
+        transition.step = step;
+        fsm.transition = transition;
+        watch(fsm, transition);
+        transition.exec();
+        return transition.promise;
+    }
+
+    /**
+     * Utility method to report any error which rejects a transition's Promise
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Transition}    transition
+     */
+    function watch(fsm, transition)
+    {
+        transition.promise.catch( error =>
+        {
+            // cancellations are a normal part of the flow, but errors from handlers and assign updaters are warned about (not thrown, as they may be async)
+            let errors = isFunction(fsm.config.errors) ? fsm.config.errors : Math.min(fsm.config.errors, 1);
+            report(fsm, error, error instanceof TransitionError ? 0 : errors);
+        });
+    }
+
+    /**
+     * Utility method to queue an action until the current transition ends
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        action
+     * @param   {Array}         params
+     * @param   {number}        [step]      -1 or 1 for history moves
+     * @returns {Promise}
+     */
+    function enqueue(fsm, action, params, step = 0)
+    {
+        return handled(new Promise( (resolve, reject) =>
+        {
+            let item = {action, params, resolve, reject};
+            if(step)
+            {
+                item.step = step;
+            }
+            fsm.queue.push(item);
+        }));
+    }
+
+    /**
+     * Utility method to run queued actions until one starts a transition, or the queue is empty
+     *
+     * @param   {StateMachine}  fsm
+     */
+    function dequeue(fsm)
+    {
+        while(!fsm.transition && fsm.queue.length)
+        {
+            let item = fsm.queue.shift();
+            perform(fsm, item.action, item.params, item.step).then(item.resolve, item.reject);
+        }
+    }
+
+    /**
+     * Utility method to schedule the current state's timed transitions, replacing any existing timers
+     *
+     * @param   {StateMachine}  fsm
+     */
+    function schedule(fsm)
+    {
+        unschedule(fsm);
+        let clock   = getClock(fsm);
+        let delays  = fsm.state
+            ? fsm.transitions.getDelaysFrom(fsm.state)
+            : {};
+        for(let action in delays)
+        {
+            fsm.timers.push(clock.setTimeout( () => fsm.do(action), delays[action] ));
+        }
+    }
+
+    /**
+     * Utility method to cancel any timed transitions
+     *
+     * @param   {StateMachine}  fsm
+     */
+    function unschedule(fsm)
+    {
+        let clock = getClock(fsm);
+        fsm.timers.splice(0).forEach( timer => clock.clearTimeout(timer) );
+    }
+
+    /**
+     * Utility method to get the configured clock, or the global timer functions
+     *
+     * @param   {StateMachine}  fsm
+     * @returns {Object}
+     */
+    function getClock(fsm)
+    {
+        return fsm.config.clock || {
+            setTimeout      : (fn, delay) => setTimeout(fn, delay),
+            clearTimeout    : timer => clearTimeout(timer)
+        };
+    }
+
+    /**
+     * Utility method to build the context which results from a transition's assign updater, if it has one
+     *
+     * Updaters are called in the configured scope with the current context and any parameters, and may be
+     * a function returning a hash of values, or a hash of values or functions returning values
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Transition}    transition
+     * @returns {Object}        A new context, or the existing context if there is no updater
+     */
+    function getContext(fsm, transition)
+    {
+        let updater = transition.action
+            ? fsm.transitions.getAssignFor(transition.from, transition.action)
+            : null;
+        if(!updater)
+        {
+            return fsm.context;
+        }
+        let scope   = fsm.config.scope;
+        let params  = [fsm.context].concat(transition.params || []);
+        if(isString(updater))
+        {
+            let name = updater;
+            updater = scope && scope[name] || fsm[name];
+            if(!isFunction(updater))
+            {
+                throw new ConfigError('Unknown assign "' +name+ '" for action "' +transition.action+ '"', {action: transition.action, assign: name}, 'ERR_UNKNOWN_METHOD');
+            }
+        }
+        let values  = isFunction(updater)
+            ? updater.apply(scope, params)
+            : updater;
+        let context = Object.assign({}, fsm.context);
+        for(let name in values)
+        {
+            if(values.hasOwnProperty(name))
+            {
+                context[name] = isFunction(values[name])
+                    ? values[name].apply(scope, params)
+                    : values[name];
+            }
+        }
+        return context;
+    }
+
+    /**
+     * Utility method to replace the context, dispatching a context event if any values changed
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Object}        context
+     */
+    function setContext(fsm, context)
+    {
+        let changed = Object.keys(fsm.context)
+            .concat(Object.keys(context))
+            .some( name => fsm.context[name] !== context[name] );
+        if(changed)
+        {
+            fsm.context = context;
+            fsm.handlers.trigger('system.context', context);
+        }
+    }
+
+    /**
+     * Utility method to validate an action's parameters against its schema, if it has one
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        action
+     * @param   {Array}         params
+     * @returns {ValidationError|null}  An error, or null if the parameters are valid
+     */
+    function getParamsError(fsm, action, params)
+    {
+        let schemas = fsm.config.schemas;
+        let schema  = schemas && schemas[action];
+        if(schema)
+        {
+            let errors = Array.isArray(schema)
+                ? schema.reduce( (errors, schema, index) => errors.concat(validateSchema(params[index], schema, 'params[' +index+ ']')), [])
+                : validateSchema(params[0], schema, 'params[0]');
+            if(errors.length)
+            {
+                return new ValidationError('Invalid parameters for action "' +action+ '": ' + errors.join(', '), {action, errors});
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Utility method to add handlers for states' enter, leave and activity functions
+     *
+     * Activities are started after any enter function, but only stopped once the transition ends (by updateActivities()),
+     * so they keep running if leaving the state is cancelled
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Object}        states      A hash of state:{enter, leave, activity} values
+     */
+    function addStates(fsm, states)
+    {
+        for(let name in states)
+        {
+            if(states.hasOwnProperty(name))
+            {
+                let state = states[name];
+                state.enter && fsm.on(name + ':enter', state.enter);
+                state.leave && fsm.on(name + ':leave', state.leave);
+                if(state.activity)
+                {
+                    fsm.on(name + ':enter', () => { startActivity(fsm, name) });
+                }
+            }
+        }
+    }
+
+    /**
+     * Utility method to start a state's activity, if not already running
+     *
+     * Activities are called in the configured scope with an AbortSignal (where supported) and the StateMachine,
+     * and may return a function to stop them
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        name
+     */
+    function startActivity(fsm, name)
+    {
+        if(!fsm.activities[name])
+        {
+            let scope       = fsm.config.scope;
+            let controller  = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            let disposer    = fsm.config.states[name].activity.call(scope, controller && controller.signal, fsm);
+            fsm.activities[name] = () =>
+            {
+                controller && controller.abort();
+                isFunction(disposer) && disposer.call(scope);
+            };
+        }
+    }
+
+    /**
+     * Utility method to stop a state's activity, if running
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        name
+     */
+    function stopActivity(fsm, name)
+    {
+        let stop = fsm.activities[name];
+        if(stop)
+        {
+            delete fsm.activities[name];
+            stop();
+        }
+    }
+
+    /**
+     * Utility method to stop activities for states which are no longer active, and start them for states which are
+     *
+     * Called whenever the state is set outside of the handler queue, i.e. on start, end, cancel or reset
+     *
+     * @param   {StateMachine}  fsm
+     */
+    function updateActivities(fsm)
+    {
+        let states = fsm.config.states || {};
+        Object.keys(fsm.activities)
+            .filter( name => !fsm.is(name) )
+            .forEach( name => stopActivity(fsm, name) );
+        Object.keys(states)
+            .filter( name => states[name].activity && fsm.is(name) )
+            .forEach( name => startActivity(fsm, name) );
+    }
+
+    /**
+     * Utility method to force the StateMachine straight to a state, skipping any handlers
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        state
+     * @param   {number}        [step]      The number of history steps the transition moves through, if any
+     * @returns {Promise}
+     */
+    function jump(fsm, state, step = 0)
+    {
+        if(fsm.transition)
+        {
+            fsm.transition.clear();
+            fsm.transition.reject(new TransitionError('Transition to "' +fsm.transition.to+ '" was interrupted by a forced transition to "' +state+ '"', {action: fsm.transition.action, from: fsm.transition.from, to: fsm.transition.to, state}, 'ERR_INTERRUPTED'));
+        }
+        let transition = Transition.force(fsm, state);
+        transition.step = step;
+        fsm.transition = transition;
+        watch(fsm, transition);
+        fsm.end();
+        return transition.promise;
+    }
+
+    /**
+     * Utility method to dispatch a call to parallel regions, returning a single Promise
+     *
+     * @param   {StateMachine}      fsm
+     * @param   {StateMachine[]}    regions
+     * @param   {Function}          callback    A function which calls the region, and returns its Promise
+     * @param   {Error}             error       An error to reject with if there are no regions
+     * @returns {Promise}
+     */
+    function dispatch(fsm, regions, callback, error)
+    {
+        return regions.length
+            ? handled(Promise.all(regions.map(callback)).then( () => fsm.state ))
+            : reject(fsm, error);
+    }
+
+    /**
+     * Utility method to return a rejected Promise from do() and go()
+     *
+     * @param   {StateMachine}      fsm
+     * @param   {Error}             error
+     * @param   {number|Function}   [errors]    How to report the error; defaults to 0, as the rejection is enough
+     * @returns {Promise}
+     */
+    function reject(fsm, error, errors = 0)
+    {
+        report(fsm, error, errors);
+        return handled(Promise.reject(error));
+    }
+
+    /**
+     * Utility method to report an error to any plugins, then according to the errors config option
+     *
+     * @param   {StateMachine}      fsm
+     * @param   {Error}             error
+     * @param   {number|Function}   [errors]    0 to ignore, 1 to warn, 2 to throw, or a function to receive the error
+     */
+    function report(fsm, error, errors = fsm.config.errors)
+    {
+        fsm.plugins.call('onError', error, fsm);
+        if(isFunction(errors))
+        {
+            return errors(error, fsm);
+        }
+        if(errors == 2)
+        {
+            throw error;
+        }
+        errors == 1 && console.warn(error.message);
+    }
+
+    /**
+     * Utility method to create an error for a handler which targets an unrecognised state or action
+     *
+     * @param   {HandlerMeta}   meta
+     * @param   {string}        type        Either state or action
+     * @param   {string}        name
+     * @returns {HandlerError}
+     */
+    function getTargetError(meta, type, name)
+    {
+        return new HandlerError('Unrecognised ' +type+ ' "' +name+ '" in handler "' +meta.id+ '"', {id: meta.id, [type]: name}, 'ERR_UNKNOWN_TARGET');
+    }
+
+    /**
+     * Utility method to replace StateMachine options' transitions with a snapshot's transitions
+     *
+     * @param   {Object}    options
+     * @param   {Object}    data
+     * @returns {Object}
+     */
+    function merge(options, data)
+    {
+        options = Object.assign({}, options);
+        if(data.regions)
+        {
+            options.regions = Object.assign({}, options.regions);
+            for(let name in data.regions)
+            {
+                options.regions[name] = merge(options.regions[name] || {}, data.regions[name]);
+            }
+        }
+        else if(data.transitions)
+        {
+            // the snapshot includes any transitions added or removed at runtime, so only take those it couldn't serialize
+            let transitions     = (options.transitions || []).filter( tx => !isString(tx) && !isSerializable(tx) );
+            options.transitions = data.transitions.concat(transitions);
+        }
+        return options;
+    }
+
+    /**
+     * Utility method to test if a transition can be serialized, i.e. has no function "to" state, guard or assign updater
+     *
+     * @param   {Object}    tx
+     * @returns {boolean}
+     */
+    function isSerializable(tx)
+    {
+        return !isFunction(tx.to) && !isFunction(tx.guard) && (!tx.assign || isString(tx.assign));
+    }
+
+    /**
+     * Utility method to restore a snapshot's state and in-flight transition, without dispatching events
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Object}        data
+     */
+    function restore(fsm, data)
+    {
+        if(fsm.regions)
+        {
+            for(let name in fsm.regions)
+            {
+                data.regions && data.regions[name] && restore(fsm.regions[name], data.regions[name]);
+            }
+            fsm.state = getSnapshot(fsm);
+            return;
+        }
+        fsm.state = data.state || '';
+        if(data.context)
+        {
+            fsm.context = data.context;
+        }
+        if(data.history)
+        {
+            fsm.history.entries = data.history.entries;
+            fsm.history.index   = data.history.index;
+        }
+        if(data.transition)
+        {
+            fsm.transition = Transition.restore(fsm, data.transition);
+        }
+        else
+        {
+            schedule(fsm);
+            updateActivities(fsm);
+        }
+    }
+
+    /**
+     * Utility method to create parallel region StateMachines
+     *
+     * Regions inherit the parent's scope, error handling, clock, queue, history and ordering options unless they
+     * specify their own, and call the parent's plugins after their own. Their system events are re-dispatched by the parent
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Object}        options
+     */
+    function addRegions(fsm, options)
+    {
+        fsm.regions = {};
+        for(let name in options.regions)
+        {
+            if(options.regions.hasOwnProperty(name))
+            {
+                // create region
+                let config      = fsm.config;
+                let defaults    = {scope: config.scope, errors: config.errors, invalid: config.invalid, schemas: config.schemas, trace: config.trace, clock: config.clock, queue: config.queue, history: config.history, order: options.order, defaults: options.defaults};
+                let region      = new StateMachine(Object.assign(defaults, options.regions[name], {start: false}));
+                region.plugins.parent = fsm.plugins;
+                fsm.regions[name] = region;
+
+                // re-dispatch events
+                region
+                    .on('change', () =>
+                    {
+                        fsm.state = getSnapshot(fsm);
+                        fsm.handlers.trigger('system.change', fsm.state, name);
+                    })
+                    .on('complete', () =>
+                    {
+                        fsm.isComplete() && fsm.handlers.trigger('system.complete');
+                    })
+                    .on('(pause resume cancel)', event =>
+                    {
+                        fsm.handlers.trigger('transition.' + event.type);
+                    });
+            }
+        }
+        fsm.state = getSnapshot(fsm);
+    }
+
+    /**
+     * Utility method to get a parallel StateMachine's regions as an array
+     *
+     * @param   {StateMachine}  fsm
+     * @returns {StateMachine[]}
+     */
+    function getRegions(fsm)
+    {
+        return Object.keys(fsm.regions).map( name => fsm.regions[name] );
+    }
+
+    /**
+     * Utility method to get a snapshot of a parallel StateMachine's region states
+     *
+     * @param   {StateMachine}  fsm
+     * @returns {Object}        A hash of region:state values
+     */
+    function getSnapshot(fsm)
+    {
+        let state = {};
+        for(let name in fsm.regions)
+        {
+            state[name] = fsm.regions[name].state;
+        }
+        return state;
+    }
+
+    /**
+     * Utility method to test if an action exists, including within any regions
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {string}        action
+     * @returns {boolean}
+     */
+    function hasAction(fsm, action)
+    {
+        return fsm.regions
+            ? getRegions(fsm).some( region => region.transitions.hasAction(action) )
+            : fsm.transitions.hasAction(action);
+    }
+
+    /**
+     * Utility method to get the HandlerMaps a handler should be added to or removed from
+     *
+     * State and action handlers on parallel machines are routed to regions which have the target state or action,
+     * or all regions if none match (i.e. wildcards, or invalid handlers)
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {HandlerMeta}   meta
+     * @returns {HandlerMap[]}
+     */
+    function getHandlers(fsm, meta)
+    {
+        if(fsm.regions && /^(state|action)/.test(meta.namespace))
+        {
+            let regions = getRegions(fsm);
+            let [state, action] = meta.namespace === 'action'
+                ? ['', meta.target]
+                : meta.target.split('@');
+            let matches = regions.filter( region => (!state || region.has(state)) && (!action || region.transitions.hasAction(action)) );
+            return (matches.length ? matches : regions).map( region => region.handlers );
+        }
+        return [fsm.handlers];
+    }
+
+    /**
+     * Utility method to create the function returned by on(), which removes the handler from the paths it was added to
+     *
+     * The function also has the StateMachine's on(), once() and off() methods, so calls can be chained
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Array[]}       added   An array of [HandlerMap, path, HandlerMeta] values
+     * @param   {Function}      fn
+     * @returns {Function}
+     */
+    function getUnsubscribe(fsm, added, fn)
+    {
+        let unsubscribe = function ()
+        {
+            added.splice(0).forEach( ([handlers, path, meta]) => handlers.remove(path, fn, meta) );
+        };
+        unsubscribe.on      = fsm.on.bind(fsm);
+        unsubscribe.once    = fsm.once.bind(fsm);
+        unsubscribe.off     = (...rest) => fsm.off(...rest) && unsubscribe;
+        return unsubscribe;
+    }
+
     /**
      * Utility method to update transitions and dispatch events
      *
@@ -642,4 +1865,9 @@ export default StateMachine;
         // dispatch events
         states.map ( state  => fsm.handlers.trigger('system.state.'  + method, state) );
         actions.map( action => fsm.handlers.trigger('system.action.' + method, action) );
+
+        // call plugins
+        let hook            = method === 'add' ? 'onAdd' : 'onRemove';
+        states.map ( state  => fsm.plugins.call(hook, 'state', state, fsm) );
+        actions.map( action => fsm.plugins.call(hook, 'action', action, fsm) );
     }
@@ -1,8 +1,9 @@
 import StateMachine from '../../StateMachine';
+import createConsoleTracer from '../tracers/ConsoleTracer';
 
 export default function Config (options)
 {
-    'scope start initial final invalid errors'
+    'scope start initial final invalid errors history queue clock context states schemas'
         .match(/\w+/g)
         .map( name =>
         {
@@ -15,6 +16,14 @@ export default function Config (options)
     // order
     this.order      = options.order || StateMachine.getDefaultOrder();
 
+    // trace
+    if(options.trace)
+    {
+        this.trace  = options.trace === true
+            ? createConsoleTracer()
+            : options.trace;
+    }
+
     // defaults
     this.defaults   = Object.assign({
 
@@ -68,11 +77,72 @@ Config.prototype =
      *  - 0 : quiet
      *  - 1 : console.warn()
      *  - 2 : throw an error
+     *  - function : a reporter, called with the error and the StateMachine
      *
-     * @var number
+     * Errors are instances of the classes in core/objects/errors, and have a code and details
+     *
+     * @var number|Function
      */
     errors      : 1,
 
+    /**
+     * The maximum number of completed transitions to record in the history; 0 disables recording
+     *
+     * @var number
+     */
+    history     : 50,
+
+    /**
+     * A string indicating what to do with actions issued while a transition is in progress; defaults to 'queue'
+     *
+     *  - queue  : run the action after the current transition ends
+     *  - drop   : reject the action
+     *  - cancel : cancel the current transition, then run the action
+     *
+     * @var string
+     */
+    queue       : 'queue',
+
+    /**
+     * An optional object with setTimeout() and clearTimeout() functions to schedule timed transitions with;
+     * defaults to the global timer functions
+     *
+     * @var object
+     */
+    clock       : null,
+
+    /**
+     * An optional object of extended state data, which is updated by transitions' assign updaters
+     *
+     * @var object
+     */
+    context     : null,
+
+    /**
+     * An optional hash of per-state enter, leave and activity functions
+     *
+     * @var object
+     */
+    states      : null,
+
+    /**
+     * An optional hash of action:schema values to validate do() parameters against
+     *
+     * Schemas are a subset of JSON Schema; pass an array of schemas to validate each parameter in turn
+     *
+     * @var object
+     */
+    schemas     : null,
+
+    /**
+     * An optional function to receive a trace entry for each step of each transition, and each system event
+     *
+     * Pass true to pretty-print entries to the console
+     *
+     * @var Function
+     */
+    trace       : null,
+
     /**
      * The order to run transition callbacks in
      *
@@ -0,0 +1,96 @@
+/**
+ * History class
+ *
+ * Records a bounded list of completed transitions, with an index pointing to the current entry,
+ * so the StateMachine can move back and forward through previous states like a browser
+ *
+ * Each entry is an object of the format {action, from, to, params}
+ *
+ * @param {number}  limit   The maximum number of entries to record; 0 disables recording
+ */
+function History (limit)
+{
+    this.limit = limit;
+    this.clear();
+}
+
+/**
+ * @prop {Object[]}     entries
+ * @prop {number}       index
+ * @prop {number}       limit
+ */
+History.prototype =
+{
+    entries     : null,
+    index       : 0,
+    limit       : 0,
+
+    /**
+     * Add a new entry, discarding any "forward" entries and any entries over the limit
+     *
+     * @param   {Object}    entry
+     * @returns {History}
+     */
+    add: function (entry)
+    {
+        if(this.limit > 0)
+        {
+            this.entries = this.entries.slice(0, this.index).concat(entry);
+            if(this.entries.length > this.limit)
+            {
+                this.entries.splice(0, this.entries.length - this.limit);
+            }
+            this.index = this.entries.length;
+        }
+        return this;
+    },
+
+    /**
+     * Move the index back (negative) or forward (positive) a number of steps
+     *
+     * @param   {number}    step
+     * @returns {History}
+     */
+    go: function (step)
+    {
+        this.index = Math.max(0, Math.min(this.entries.length, this.index + step));
+        return this;
+    },
+
+    /**
+     * Get the entry to move back through; its "from" state is the previous state
+     *
+     * @returns {Object|undefined}
+     */
+    getBack: function ()
+    {
+        return this.entries[this.index - 1];
+    },
+
+    /**
+     * Get the entry to move forward through; its "to" state is the next state
+     *
+     * @returns {Object|undefined}
+     */
+    getForward: function ()
+    {
+        return this.entries[this.index];
+    },
+
+    clear: function ()
+    {
+        this.entries    = [];
+        this.index      = 0;
+        return this;
+    },
+
+    toJSON: function ()
+    {
+        return { entries: this.entries, index: this.index };
+    }
+
+};
+
+History.prototype.constructor = History;
+
+export default History;
@@ -0,0 +1,88 @@
+import { isFunction } from '../utils/utils';
+
+/**
+ * Plugins class
+ *
+ * Stores plugins added with fsm.use(), and calls their lifecycle hooks from the core pipeline
+ *
+ * Parallel regions' Plugins have their parent machine's Plugins as a parent, whose hooks are called after their own
+ *
+ * A plugin is an object with any of the following hooks:
+ *
+ * - beforeAction(action, params, fsm)      : return false to block the action
+ * - beforeHandler(info, fsm)               : return false to skip the handler
+ * - afterHandler(info, fsm)                : info includes the handler's result and returned value
+ * - afterTransition(transition, fsm)
+ * - onError(error, fsm)
+ * - onAdd(type, name, fsm)                 : type is state or action
+ * - onRemove(type, name, fsm)
+ */
+function Plugins ()
+{
+    this.items = [];
+}
+
+/**
+ * @prop {Object[]}     items
+ * @prop {Plugins}      parent
+ */
+Plugins.prototype =
+{
+    items       : null,
+    parent      : null,
+
+    /**
+     * Add a plugin
+     *
+     * @param   {Object}    plugin
+     * @returns {Plugins}
+     */
+    add: function (plugin)
+    {
+        this.items.push(plugin);
+        return this;
+    },
+
+    /**
+     * Remove a plugin
+     *
+     * @param   {Object}    plugin
+     * @returns {Plugins}
+     */
+    remove: function (plugin)
+    {
+        let index = this.items.indexOf(plugin);
+        if(index > -1)
+        {
+            this.items.splice(index, 1);
+        }
+        return this;
+    },
+
+    /**
+     * Call a hook on each plugin in turn, then on any parent's plugins
+     *
+     * Blocking hooks (beforeAction and beforeHandler) stop at the first plugin which returns false,
+     * but notification hooks are always called on every plugin, whatever they return
+     *
+     * @param   {string}    hook
+     * @param   {*[]}       rest
+     * @returns {boolean}   false if a blocking hook returned false, otherwise true
+     */
+    call: function (hook, ...rest)
+    {
+        if(/^before/.test(hook))
+        {
+            return this.items.every( plugin => !isFunction(plugin[hook]) || plugin[hook](...rest) !== false )
+                && (!this.parent || this.parent.call(hook, ...rest));
+        }
+        this.items.forEach( plugin => isFunction(plugin[hook]) && plugin[hook](...rest) );
+        this.parent && this.parent.call(hook, ...rest);
+        return true;
+    }
+
+};
+
+Plugins.prototype.constructor = Plugins;
+
+export default Plugins;
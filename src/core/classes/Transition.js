@@ -1,5 +1,6 @@
 import { StateEvent, ActionEvent } from '../objects/events';
-import { isFunction } from '../utils/utils';
+import { TransitionError, StateNotFoundError } from '../objects/errors';
+import { isFunction, isPromise } from '../utils/utils';
 
 /**
  * Transition class
@@ -23,14 +24,21 @@ import { isFunction } from '../utils/utils';
  *
  * This can be changed by passing in an order array in fsm.config
  *
+ * For nested states, the {exit} and {enter} tokens expand to every state left or entered, so going
+ * from "cart" to "checkout.shipping" calls state.checkout.enter[] then state.checkout.shipping.enter[]
+ *
  * Event handlers will receive an Event object, along with any passed parameters (from do()) as ...rest parameters.
  *
  * From a callback, you can:
  *
  * - return false to cancel the transition
  * - return true to pause the transition
+ * - return a Promise to pause the transition until it settles
  * - not return a value (the transition continues)
  *
+ * A Promise that resolves to false, or rejects, will cancel the transition, as will a handler that throws;
+ * the transition's promise is then rejected with the error
+ *
  * TransitionMap can also be paused, resumed, or cancelled by calling
  * the appropriate method on, or from:
  *
@@ -42,6 +50,9 @@ import { isFunction } from '../utils/utils';
  *
  * When the last callback has fired, the main FSM's end() handler will be called and the state will updated
  *
+ * Each transition exposes a promise property, which resolves with the new state when the transition
+ * ends, or rejects when the transition is cancelled
+ *
  * @param {StateMachine}    fsm
  * @param {string}          action
  * @param {string}          from
@@ -53,6 +64,14 @@ function Transition (fsm, action, from, to)
     this.action     = action;
     this.from       = from;
     this.to         = to;
+    this.promise    = new Promise((resolve, reject) =>
+    {
+        this.resolve    = resolve;
+        this.reject     = reject;
+    });
+
+    // cancelling is a normal part of the flow, so don't report unhandled rejections
+    this.promise.catch(() => {});
     this.clear();
 }
 
@@ -62,6 +81,9 @@ function Transition (fsm, action, from, to)
  * @prop {string}          from
  * @prop {string}          to
  * @prop {Function[]}      handlers
+ * @prop {Array}           params
+ * @prop {number}          step        The number of history steps moved by back() or forward(), or 0 for new transitions
+ * @prop {Promise}         promise
  */
 Transition.prototype =
 {
@@ -71,6 +93,9 @@ Transition.prototype =
     to          : '',
     paused      : false,
     handlers    : null,
+    params      : null,
+    step        : 0,
+    promise     : null,
 
     clear: function ()
     {
@@ -89,7 +114,28 @@ Transition.prototype =
             if(this.handlers.length)
             {
                 var handler = this.handlers.shift();
-                var state = handler();
+                var info    = getInfo(this, handler);
+                if(!this.fsm.plugins.call('beforeHandler', info, this.fsm))
+                {
+                    return this.exec();
+                }
+                var start   = now();
+                try
+                {
+                    var state   = handler();
+                }
+                catch(error)
+                {
+                    trace(this, info, 'handler', 'cancel', error, now() - start);
+                    return fail(this, error);
+                }
+                var result  = getResult(state);
+                trace(this, info, 'handler', result, state, now() - start);
+                this.fsm.plugins.call('afterHandler', Object.assign({}, info, {result, value: state}), this.fsm);
+                if(this.fsm.transition !== this)
+                {
+                    return this;
+                }
                 if(state === false)
                 {
                     return this.fsm.cancel();
@@ -98,6 +144,10 @@ Transition.prototype =
                 {
                     return this.fsm.pause();
                 }
+                if(isPromise(state))
+                {
+                    return wait(this, state, info, start);
+                }
                 this.exec();
             }
             else
@@ -123,27 +173,189 @@ Transition.prototype =
     cancel: function()
     {
         this.paused = false;
-        this.fsm.handlers.trigger('transition.cancel', false);
+        this.fsm.handlers.trigger('transition.cancel', false, '', this);
+        this.reject(new TransitionError('Transition "' +this.action+ '" from "' +this.from+ '" to "' +this.to+ '" was cancelled', {action: this.action, from: this.from, to: this.to}, 'ERR_CANCELLED'));
     }
 
 };
 
+/**
+ * Describe the value returned by a handler
+ *
+ * @param   {*}         value
+ * @returns {string}    One of continue, pause, cancel or wait
+ */
+function getResult(value)
+{
+    if(value === false)
+    {
+        return 'cancel';
+    }
+    if(value === true)
+    {
+        return 'pause';
+    }
+    return isPromise(value)
+        ? 'wait'
+        : 'continue';
+}
+
+/**
+ * Get a high resolution timestamp in milliseconds, where available
+ *
+ * @returns {number}
+ */
+function now()
+{
+    return typeof performance !== 'undefined' && performance.now
+        ? performance.now()
+        : Date.now();
+}
+
+/**
+ * Describe a pre-bound handler, for tracers and plugins
+ *
+ * @param   {Transition}    transition
+ * @param   {Function}      handler     A pre-bound handler, with path and handler properties
+ * @returns {Object}        An object with path, name, handler, action, from and to properties
+ */
+function getInfo(transition, handler)
+{
+    return {
+        path        : handler.path,
+        name        : handler.handler.name || 'anonymous',
+        handler     : handler.handler,
+        action      : transition.action,
+        from        : transition.from,
+        to          : transition.to
+    };
+}
+
+/**
+ * Pass a handler's trace entry to any configured tracer
+ *
+ * @param   {Transition}    transition
+ * @param   {Object}        info        The handler's info, from getInfo()
+ * @param   {string}        type        Either handler, or settle for handlers returning promises
+ * @param   {string}        result
+ * @param   {*}             value
+ * @param   {number}        duration
+ */
+function trace(transition, info, type, result, value, duration)
+{
+    let fsm = transition.fsm;
+    if(fsm.config.trace)
+    {
+        fsm.config.trace(Object.assign({type}, info, {result, value, duration}), fsm);
+    }
+}
+
 function pause(transition)
 {
     if(!transition.paused)
     {
         transition.paused = true;
-        transition.fsm.handlers.trigger('transition.pause', true);
+        transition.fsm.handlers.trigger('transition.pause', true, '', transition);
     }
 }
 
+/**
+ * Replace path tokens with variables, expanding array variables to multiple paths
+ *
+ * @param   {string}    path    A path such as 'state.{exit}.leave'
+ * @param   {Object}    vars    A hash of string or array values
+ * @returns {string[]}
+ */
+function expand(path, vars)
+{
+    let matches = path.match(/{(\w+)}/);
+    if(matches)
+    {
+        return [].concat(vars[matches[1]]).reduce( (paths, value) =>
+        {
+            return paths.concat(expand(path.replace(matches[0], value), vars));
+        }, []);
+    }
+    return [path];
+}
+
+/**
+ * Determine the states exited (innermost first) and entered (outermost first) when transitioning between nested states
+ *
+ * Parent states common to both "from" and "to" states are neither exited nor entered
+ *
+ * @param   {StateMachine}  fsm
+ * @param   {string}        from
+ * @param   {string}        to
+ * @returns {Array[]}
+ */
+function getExitAndEnter(fsm, from, to)
+{
+    let fromStates  = fsm.transitions.getParents(from).concat(from);
+    let toStates    = fsm.transitions.getParents(to).concat(to);
+    let index       = 0;
+    while(index < fromStates.length - 1 && index < toStates.length - 1 && fromStates[index] === toStates[index])
+    {
+        index++;
+    }
+    return [fromStates.slice(index).reverse(), toStates.slice(index)];
+}
+
 function unpause(transition)
 {
     if(transition.paused)
     {
         transition.paused = false;
-        transition.fsm.handlers.trigger('transition.resume', false);
+        transition.fsm.handlers.trigger('transition.resume', false, '', transition);
+    }
+}
+
+/**
+ * Pause the transition until a handler's promise settles, then resume or cancel it
+ *
+ * @param   {Transition}    transition
+ * @param   {Promise}       promise
+ * @param   {Object}        info        The info of the handler which returned the promise
+ * @param   {number}        start       The time the handler was called
+ * @returns {Transition}
+ */
+function wait(transition, promise, info, start)
+{
+    let fsm = transition.fsm;
+    fsm.pause();
+    promise.then( value =>
+    {
+        trace(transition, info, 'settle', value === false ? 'cancel' : 'continue', value, now() - start);
+        if(fsm.transition === transition)
+        {
+            value === false
+                ? fsm.cancel()
+                : fsm.resume();
+        }
+    }, error =>
+    {
+        trace(transition, info, 'settle', 'cancel', error, now() - start);
+        fail(transition, error);
+    });
+    return transition;
+}
+
+/**
+ * Cancel the transition because a handler threw or rejected, rejecting its promise with the error
+ *
+ * @param   {Transition}    transition
+ * @param   {Error}         error
+ * @returns {Transition}
+ */
+function fail(transition, error)
+{
+    let fsm = transition.fsm;
+    if(fsm.transition === transition)
+    {
+        transition.reject(error);
+        fsm.cancel();
     }
+    return transition;
 }
 
 export default
@@ -168,7 +380,6 @@ export default
         let scope   = fsm.config.scope;
         let from    = fsm.state;
         let to      = fsm.transitions.getStateFor(from, action);
-        let vars    = {action, to, from};
 
         // handle "to" being a function
         if(isFunction(to))
@@ -176,38 +387,76 @@ export default
             to = to.apply(scope, params);
             if(!fsm.transitions.hasState(to))
             {
-                throw new Error('Invalid "to" state "' +to+ '"');
+                throw new StateNotFoundError('Invalid "to" state "' +to+ '"', {action, from, state: to});
             }
         }
 
+        // path variables
+        let [exit, enter] = getExitAndEnter(fsm, from, to);
+        let vars    = {action, to, from, exit, enter};
+
         // transition
         let queue       = [];
         let transition  = new Transition(fsm, action, from, to);
+        transition.params = params;
+
+        // replace path tokens, keeping the order path each was expanded from
+        let orders      = [];
+        let paths       = fsm.config.order.reduce( (paths, order) =>
+        {
+            let expanded = expand(order, vars);
+            expanded.forEach( () => orders.push(order) );
+            return paths.concat(expanded);
+        }, []);
 
         // build handlers array
-        fsm.config.order.map( path =>
+        paths.map( (path, index) =>
         {
-            // replace path tokens
-            path = path.replace(/{(\w+)}/g, (all, token) => vars[token]);
-            let handlers = fsm.handlers.get(path);
+            // path properties
+            let target      = path.split('.');
+            let namespace   = target.shift();
+            let type        = target.pop();
+            target          = target.join('.');
+
+            // get handler records, skipping any which exclude the state or action for wildcard paths
+            let records     = fsm.handlers.getRecords(path, target === '*'
+                ? namespace === 'action' ? action : type === 'enter' ? to : from
+                : '');
+
+            // trace
+            if(fsm.config.trace)
+            {
+                fsm.config.trace({type: 'path', order: orders[index], path, action, from, to, handlers: records.length}, fsm);
+            }
 
             // do it!
-            if(handlers)
+            if(records.length)
             {
-                let [namespace, target, type] = path.split('.');
-                handlers = handlers.map( handler =>
-                {
-                    // build event object
-                    let Event = namespace === 'state' ? StateEvent : ActionEvent;
-                    let event = new Event(type, target, transition);
+                // build event object, shared by the path's handlers so they can stop propagation
+                let Event = namespace === 'state' ? StateEvent : ActionEvent;
+                let event = new Event(type, target, transition);
 
+                let handlers = records.map( (record, index) =>
+                {
                     // pre-bind handlers, scopes and params
                     // this way scope and params don't need to be passed around
                     // and the call from Transition is always just `value = handler()`
-                    return function()
+                    let handler = record.fn;
+                    let bound   = function()
                     {
+                        if(index === 0)
+                        {
+                            event.timestamp = Date.now();
+                        }
+                        fsm.handlers.expire(path, handler, record);
                         return handler.apply(scope, [event, fsm].concat(params));
-                    }
+                    };
+
+                    // expose the path, event and original handler for tracing and propagation
+                    bound.path      = path;
+                    bound.event     = event;
+                    bound.handler   = handler;
+                    return bound;
                 });
 
                 // add to queue
@@ -225,6 +474,26 @@ export default
         let transition = new Transition(fsm, '', fsm.state, state);
         transition.paused = fsm.transition ? fsm.transition.paused : false;
         return transition;
+    },
+
+    /**
+     * Re-create an in-flight Transition from a serialized snapshot
+     *
+     * Handlers are rebuilt from the StateMachine's current handlers, with those that had already run skipped.
+     * The transition is restored in a paused state, so no handlers are called until it is resumed
+     *
+     * @param {StateMachine}    fsm
+     * @param {Object}          data    An object with action, to, params and remaining properties
+     * @returns {Transition}
+     */
+    restore: function(fsm, data)
+    {
+        let transition      = this.create(fsm, data.action, data.params || []);
+        let handlers        = transition.handlers;
+        transition.to       = data.to;
+        transition.handlers = handlers.slice(Math.max(0, handlers.length - data.remaining));
+        transition.paused   = true;
+        return transition;
     }
 
 }
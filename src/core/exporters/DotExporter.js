@@ -0,0 +1,71 @@
+import getGraph from './Graph';
+
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    function quote(value)
+    {
+        return '"' + String(value).replace(/"/g, '\\"') + '"';
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Exports a TransitionMap to Graphviz DOT format
+     *
+     * - the initial state is pointed to from a point node
+     * - the final state is drawn with a double border
+     * - wildcard transitions are drawn from a "*" node, unless expanded
+     * - function "to" states are drawn as dashed edges to a "?" node
+     *
+     * @param   {TransitionMap}     map
+     * @param   {Object}            options     An object with initial, final and wildcards ('node' or 'expand') properties
+     * @returns {string}
+     */
+    export default function exportDot (map, options)
+    {
+        let graph = getGraph(map, options);
+        let lines = [
+            'digraph StateMachine {',
+            '    rankdir=LR;',
+            '    node [shape=box, style=rounded];'
+        ];
+
+        // initial
+        if(graph.initial)
+        {
+            lines.push('    "__initial" [shape=point];');
+            lines.push('    "__initial" -> ' + quote(graph.initial) + ';');
+        }
+
+        // states
+        graph.states.forEach( state =>
+        {
+            lines.push('    ' + quote(state) + (state === graph.final ? ' [peripheries=2];' : ';'));
+        });
+        if(graph.edges.some( edge => edge.from === '*' ))
+        {
+            lines.push('    "*" [shape=circle];');
+        }
+
+        // edges
+        graph.edges.forEach( (edge, index) =>
+        {
+            if(edge.dynamic)
+            {
+                let node = quote('__dynamic' + index);
+                lines.push('    ' + node + ' [shape=diamond, label="?"];');
+                lines.push('    ' + quote(edge.from) + ' -> ' + node + ' [label=' + quote(edge.label) + ', style=dashed];');
+            }
+            else
+            {
+                lines.push('    ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.label) + '];');
+            }
+        });
+
+        // return
+        lines.push('}');
+        return lines.join('\n');
+    }
@@ -0,0 +1,64 @@
+import { isString, isFunction, isObject, isDefined } from '../utils/utils';
+
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    function getLabel(tx)
+    {
+        let label = tx.guard
+            ? tx.action + ' [' + (isString(tx.guard) ? tx.guard : 'guard') + ']'
+            : tx.action;
+        return tx.after
+            ? label + ' after ' + tx.after + 'ms'
+            : label;
+    }
+
+    function hasOwnAction(map, state, action)
+    {
+        return map.getParents(state).concat(state).some( state =>
+        {
+            let value = map.get(state, action);
+            return isDefined(value) && !isObject(value);
+        });
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Builds a simple graph of states and edges from a TransitionMap, ready to export to a diagram format
+     *
+     * Edges have the format {from, to, label, dynamic} where dynamic edges have function "to" states
+     *
+     * @param   {TransitionMap}     map
+     * @param   {Object}            options     An object with initial, final and wildcards ('node' or 'expand') properties
+     * @returns {Object}                        An object with states, edges, initial and final properties
+     */
+    export default function getGraph (map, options)
+    {
+        let states  = map.getStates();
+        let edges   = [];
+
+        map.getTransitions().forEach( tx =>
+        {
+            let edge = { from: tx.from, to: tx.to, label: getLabel(tx), dynamic: isFunction(tx.to) };
+            if(tx.from === '*' && options.wildcards === 'expand')
+            {
+                states
+                    .filter( state => state !== tx.to && !hasOwnAction(map, state, tx.action) )
+                    .forEach( state => edges.push(Object.assign({}, edge, {from: state})) );
+            }
+            else
+            {
+                edges.push(edge);
+            }
+        });
+
+        return {
+            states,
+            edges,
+            initial : options.initial || '',
+            final   : options.final || ''
+        };
+    }
@@ -0,0 +1,94 @@
+import getGraph from './Graph';
+
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    /**
+     * Get a hash of state:id values, for states and the "*" wildcard
+     *
+     * Plain word states are their own ids, but others are aliased by index. Generated ids all start
+     * with "__", so states which do too are also aliased, and no two states can share an id
+     *
+     * @param   {string[]}  states
+     * @returns {Object}
+     */
+    function getIds(states)
+    {
+        return states.reduce( (ids, state, index) =>
+        {
+            ids[state] = /^\w+$/.test(state) && state.indexOf('__') !== 0
+                ? state
+                : '__state' + index;
+            return ids;
+        }, {'*': '__any'});
+    }
+
+    function quote(value)
+    {
+        return '"' + String(value).replace(/"/g, '#quot;') + '"';
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Exports a TransitionMap to Mermaid stateDiagram-v2 format
+     *
+     * - the initial and final states are linked to the [*] start and end nodes
+     * - states with non-word characters (i.e. nested states) are declared with an index-based alias
+     * - wildcard transitions are drawn from a "*" state, unless expanded
+     * - function "to" states are drawn as edges to a <<choice>> node
+     *
+     * @param   {TransitionMap}     map
+     * @param   {Object}            options     An object with initial, final and wildcards ('node' or 'expand') properties
+     * @returns {string}
+     */
+    export default function exportMermaid (map, options)
+    {
+        let graph = getGraph(map, options);
+        let lines = ['stateDiagram-v2'];
+        let ids   = getIds(graph.states);
+        let getId = state => ids[state];
+
+        // states
+        graph.states.forEach( state =>
+        {
+            if(getId(state) !== state)
+            {
+                lines.push('    state ' + quote(state) + ' as ' + getId(state));
+            }
+        });
+        if(graph.edges.some( edge => edge.from === '*' ))
+        {
+            lines.push('    state "*" as ' + getId('*'));
+        }
+
+        // initial
+        if(graph.initial)
+        {
+            lines.push('    [*] --> ' + getId(graph.initial));
+        }
+
+        // edges
+        graph.edges.forEach( (edge, index) =>
+        {
+            let to = edge.dynamic
+                ? '__dynamic' + index
+                : getId(edge.to);
+            if(edge.dynamic)
+            {
+                lines.push('    state ' + to + ' <<choice>>');
+            }
+            lines.push('    ' + getId(edge.from) + ' --> ' + to + ' : ' + edge.label);
+        });
+
+        // final
+        if(graph.final)
+        {
+            lines.push('    ' + getId(graph.final) + ' --> [*]');
+        }
+
+        // return
+        return lines.join('\n');
+    }
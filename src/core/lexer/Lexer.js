@@ -1,5 +1,6 @@
 import Rule from './Rule';
 import Token from './Token';
+import { ParseError } from '../objects/errors';
 
 /**
  * Simple Lexer class
@@ -67,7 +68,7 @@ Lexer.prototype =
                 var matches = source.match(rule.rx);
                 if(matches)
                 {
-                    this.tokens.push(new Token(rule.name, matches));
+                    this.tokens.push(new Token(rule.name, matches, this.index));
                     this.index += matches[0].length;
                     return true;
                 }
@@ -77,7 +78,7 @@ Lexer.prototype =
             // not matched
             if(!state)
             {
-                throw new LexerError('Unable to match source at position ' + this.index + ': "' +source+'"', this.source, this.index);
+                throw new ParseError('Unable to match source at position ' + this.index + ': "' +source+'"', {source: this.source, position: this.index});
             }
 
             // match
@@ -85,13 +86,3 @@ Lexer.prototype =
         }
     }
 };
-
-function LexerError(message, source, index)
-{
-    this.message = message;
-    this.source = source;
-    this.index = index;
-}
-
-LexerError.prototype = new Error;
-LexerError.prototype.constructor = LexerError;
@@ -3,16 +3,19 @@
  *
  * @param       {string}    type
  * @param       {string[]}  matches
+ * @param       {number}    [position]
  *
  * @property    {string}    type
  * @property    {string}    match
  * @property    {string[]}  values
+ * @property    {number}    position    The index of the match in the source string
  */
-function Token(type, matches)
+function Token(type, matches, position = 0)
 {
     this.type       = type;
     this.match      = matches[0];
     this.values     = matches.slice(1);
+    this.position   = position;
 }
 
 export default Token;
@@ -1,13 +1,15 @@
 import ValueMap from './ValueMap';
 import { SystemEvent, TransitionEvent, StateEvent, ActionEvent } from '../objects/events';
-import { isFunction } from '../utils/utils';
+import { HandlerError } from '../objects/errors';
+import { isFunction, isArray } from '../utils/utils';
 
 import parseHandler from '../parsers/HandlerParser';
 
 function HandlerMap (fsm)
 {
-    this.fsm    = fsm;
-    this.map    = new ValueMap();
+    this.fsm        = fsm;
+    this.map        = new ValueMap();
+    this.options    = new ValueMap();
 }
 
 HandlerMap.prototype =
@@ -17,6 +19,13 @@ HandlerMap.prototype =
 
 	map: null,
 
+    /**
+     * Each path's handler options, as an array of {fn, priority, once, tag, exclude, match} objects in the same order as map
+     *
+     * @var {ValueMap}
+     */
+    options: null,
+
     /**
      * Parse event handler grammar into a HandlerMeta structure
      *
@@ -31,44 +40,172 @@ HandlerMap.prototype =
     /**
      * Directly add a new handler
      *
-     * @param   {string}    path    A 'namespace.target.type' target path to add a handler to
-     * @param   {Function}  fn      A callback function
+     * Handlers run in descending priority order, then in the order they were added.
+     * Adding an existing handler with the same match and exclude patterns replaces its options
+     *
+     * @param   {string}    path        A 'namespace.target.type' target path to add a handler to
+     * @param   {Function}  fn          A callback function
+     * @param   {Object}    [options]   An object with priority (defaults to 0), once (defaults to false), tag, exclude and match properties
      * @returns {HandlerMap}
      */
-    add: function (path, fn)
+    add: function (path, fn, options = {})
     {
         // check handler is a function
         if(!isFunction(fn))
         {
-            throw new Error('Error assigning "' +path+ '" handler; callback is not a function', fn);
+            throw new HandlerError('Error assigning "' +path+ '" handler; callback is not a function', {path});
         }
 
-        this.map.insert(path, fn);
+        // insert after any handlers of the same or higher priority
+        let record  = {fn, priority: options.priority || 0, once: !!options.once, tag: options.tag || '', exclude: options.exclude || null, match: options.match || null};
+        let records = (this.options.get(path) || []).filter( item => !isSame(item, fn, record) );
+        let index   = records.filter( item => item.priority >= record.priority ).length;
+        records.splice(index, 0, record);
+        setRecords(this, path, records);
         return this;
     },
 
     /**
      * Directly remove a handler target
      *
-     * @param   {string}    path    A 'namespace.target.type' parent to a handler removed from
-     * @param   {Function}  fn      The instance of the callback function
+     * As the same function may be added to a wildcard path with different patterns, pass
+     * patterns to remove only the handler added with the same match and exclude patterns
+     *
+     * @param   {string}    path        A 'namespace.target.type' parent to a handler removed from
+     * @param   {Function}  [fn]        The instance of the callback function
+     * @param   {Object}    [patterns]  An object with match and exclude arrays
+     * @returns {HandlerMap}
+     */
+    remove: function (path, fn, patterns)
+    {
+        let records = this.options.get(path);
+        if(fn && isArray(records))
+        {
+            setRecords(this, path, records.filter( record => record.fn !== fn || patterns && !isSame(record, fn, patterns) ));
+        }
+        else if(!fn)
+        {
+            this.map.remove(path);
+            this.options.remove(path);
+        }
+        return this;
+    },
+
+    /**
+     * Remove all handlers with a tag
+     *
+     * @param   {string}    tag
+     * @param   {string}    [path]  An optional 'namespace.target.type' path to remove tagged handlers from
+     * @returns {HandlerMap}
+     */
+    removeTag: function (tag, path = '')
+    {
+        let data = path
+            ? this.options.get(path)
+            : this.options.data;
+        getPaths(data, path).forEach( path =>
+        {
+            this.options.get(path)
+                .filter( record => record.tag === tag )
+                .forEach( record => this.remove(path, record.fn, record) );
+        });
+        return this;
+    },
+
+    /**
+     * Remove handlers which were added with the same match and exclude patterns, i.e. by off('step*:enter')
+     *
+     * Pattern and negated handlers share wildcard paths with plain handlers, i.e. 'state.*.enter', so only
+     * records with equal patterns (and the same tag and function, if passed) are removed
+     *
+     * @param   {string}    path        A 'namespace.target.type' wildcard path
+     * @param   {Object}    patterns    An object with match and exclude arrays, and an optional tag
+     * @param   {Function}  [fn]        An optional callback function
+     * @returns {HandlerMap}
+     */
+    removePattern: function (path, patterns, fn)
+    {
+        (this.options.get(path) || [])
+            .filter( record => (!fn || record.fn === fn)
+                && (!patterns.tag || record.tag === patterns.tag)
+                && getKey(record.match) === getKey(patterns.match)
+                && getKey(record.exclude) === getKey(patterns.exclude) )
+            .forEach( record => this.remove(path, record.fn, record) );
+        return this;
+    },
+
+    /**
+     * Get a handler's options
+     *
+     * @param   {string}    path        A 'namespace.target.type' target path
+     * @param   {Function}  fn          The instance of the callback function
+     * @param   {Object}    [patterns]  An object with match and exclude arrays, to get the handler added with the same patterns
+     * @returns {Object|null}           An object with priority, once, tag, exclude and match properties, or null if the handler was not added
+     */
+    getOptions: function (path, fn, patterns)
+    {
+        let records = this.options.get(path);
+        let record  = isArray(records)
+            ? records.filter( record => patterns ? isSame(record, fn, patterns) : record.fn === fn )[0]
+            : null;
+        return record
+            ? {priority: record.priority, once: record.once, tag: record.tag, exclude: record.exclude, match: record.match}
+            : null;
+    },
+
+    /**
+     * Remove a handler if it was added to run once, before it is called
+     *
+     * @param   {string}    path        A 'namespace.target.type' target path
+     * @param   {Function}  fn          The instance of the callback function
+     * @param   {Object}    [patterns]  An object with match and exclude arrays, to expire the handler added with the same patterns
      * @returns {HandlerMap}
      */
-    remove: function (path, fn)
+    expire: function (path, fn, patterns)
     {
-        this.map.remove(path, fn);
+        let options = this.getOptions(path, fn, patterns);
+        if(options && options.once)
+        {
+            this.remove(path, fn, patterns);
+        }
         return this;
     },
 
     /**
      * Get all handlers for a valid target path
      *
-     * @param   {string}    path    A 'namespace.target.type' target path
-     * @returns {Function[]}        An array of callback functions
+     * @param   {string}    path        A 'namespace.target.type' target path
+     * @param   {string}    [target]    A state or action, to skip handlers which exclude it, or don't match it
+     * @returns {Function[]}            An array of callback functions
+     */
+    get:function(path, target)
+    {
+        let handlers = this.map.get(path);
+        if(target && isArray(handlers))
+        {
+            return this.getRecords(path, target).map( record => record.fn );
+        }
+        return handlers;
+    },
+
+    /**
+     * Get the handler records for a target path, so handlers added with different patterns can be told apart
+     *
+     * @param   {string}    path        A 'namespace.target.type' target path
+     * @param   {string}    [target]    A state or action, to skip handlers which exclude it, or don't match it
+     * @returns {Object[]}              An array of {fn, priority, once, tag, exclude, match} objects
      */
-    get:function(path)
+    getRecords: function (path, target)
     {
-        return this.map.get(path);
+        let records = this.options.get(path);
+        if(!isArray(records))
+        {
+            return [];
+        }
+        return target
+            ? records.filter( record => (!record.match || record.match.some( item => matches(item, target) ))
+                && (!record.exclude || !record.exclude.some( item => matches(item, target) )) )
+            : records.slice();
     },
 
     /**
@@ -76,9 +213,11 @@ HandlerMap.prototype =
      *
      * @param   {string}    path
      * @param   {*}         value
+     * @param   {string}    [region]    The name of the parallel region which generated a system event, if any
+     * @param   {Transition}    [transition]    The transition which generated a transition event, if any
      * @returns {StateMachine}
      */
-    trigger: function (path, value = null)
+    trigger: function (path, value = null, region = '', transition = null)
     {
         // create lookup path
         let [namespace, type, method] = path.match(/\w+/g);
@@ -94,18 +233,112 @@ HandlerMap.prototype =
         else
         {
             event = namespace === 'system'
-                ? new SystemEvent(type, value)
-                : new TransitionEvent(type);
+                ? new SystemEvent(type, value, region)
+                : new TransitionEvent(type, value, transition);
         }
 
-        // dispatch
+        // trace
+        let trace = this.fsm.config && this.fsm.config.trace;
+        if(trace)
+        {
+            trace({type: 'event', path, value, region}, this.fsm);
+        }
+
+        // dispatch, until a handler stops immediate propagation
         let handlers = this.map.get(path);
         if(handlers)
         {
-            handlers.map(fn => fn(event, this.fsm) );
+            handlers.slice().every( fn =>
+            {
+                this.expire(path, fn);
+                fn(event, this.fsm);
+                return !event.immediatePropagationStopped;
+            });
         }
     }
 
 };
 
+/**
+ * Test a state or action against a name or a pattern
+ *
+ * @param   {string|RegExp} item
+ * @param   {string}        target
+ * @returns {boolean}
+ */
+function matches (item, target)
+{
+    return item instanceof RegExp
+        ? item.test(target)
+        : item === target;
+}
+
+/**
+ * Get a key to compare arrays of names and patterns, i.e. ['a', /^step.*$/] => 'a,/^step.*$/'
+ *
+ * @param   {Array|null}    items
+ * @returns {string}
+ */
+function getKey (items)
+{
+    return items
+        ? items.map(String).join(',')
+        : '';
+}
+
+/**
+ * Test if a handler record is for the same function and patterns
+ *
+ * @param   {Object}    record
+ * @param   {Function}  fn
+ * @param   {Object}    patterns    An object with match and exclude arrays
+ * @returns {boolean}
+ */
+function isSame (record, fn, patterns)
+{
+    return record.fn === fn
+        && getKey(record.match) === getKey(patterns.match)
+        && getKey(record.exclude) === getKey(patterns.exclude);
+}
+
+/**
+ * Replace a path's handler records, keeping the map of callback functions in sync
+ *
+ * @param   {HandlerMap}    handlers
+ * @param   {string}        path
+ * @param   {Object[]}      records
+ */
+function setRecords (handlers, path, records)
+{
+    if(records.length)
+    {
+        handlers.options.set(path, records);
+        handlers.map.set(path, records.map( record => record.fn ));
+    }
+    else
+    {
+        handlers.options.remove(path);
+        handlers.map.remove(path);
+    }
+}
+
+/**
+ * Get the paths of all handler arrays within a branch of a ValueMap's data
+ *
+ * @param   {Object|Array}  data
+ * @param   {string}        path    The path to the data
+ * @returns {string[]}
+ */
+function getPaths (data, path)
+{
+    if(isArray(data))
+    {
+        return [path];
+    }
+    return Object.keys(data || {}).reduce( (paths, key) =>
+    {
+        return paths.concat(getPaths(data[key], path ? path + '.' + key : key));
+    }, []);
+}
+
 export default HandlerMap;
@@ -1,10 +1,24 @@
 import ValueMap from './ValueMap';
+import TransitionMeta from '../parsers/TransitionMeta';
 import parseTransition from '../parsers/TransitionParser'
-import { trim } from '../utils/utils'
+import { ConfigError } from '../objects/errors'
+import exportDot from '../exporters/DotExporter'
+import exportMermaid from '../exporters/MermaidExporter'
+import { trim, isString, isFunction, isObject, isDefined, toMilliseconds } from '../utils/utils'
 
-function TransitionMap ()
+/**
+ * TransitionMap constructor
+ *
+ * @param   {StateMachine}  [fsm]   An optional StateMachine instance to resolve and run guards against
+ * @constructor
+ */
+function TransitionMap (fsm)
 {
+    this.fsm        = fsm || null;
     this.map        = new ValueMap();
+    this.guards     = new ValueMap();
+    this.delays     = new ValueMap();
+    this.assigns    = new ValueMap();
     this.states     = [];
     this.actions    = [];
 }
@@ -14,7 +28,11 @@ TransitionMap.prototype =
     // ------------------------------------------------------------------------------------------------
     // properties
 
+        fsm     : null,
         map     : null,
+        guards  : null,
+        delays  : null,
+        assigns : null,
         states  : null,
         actions : null,
 
@@ -36,26 +54,65 @@ TransitionMap.prototype =
         /**
          * Adds a new transition
          * 
-         * @param   {string}    action
-         * @param   {string}    from
-         * @param   {string}    to
+         * @param   {string}            action
+         * @param   {string}            from
+         * @param   {string}            to
+         * @param   {Function|string}   [guard]     An optional guard function, or the name of a method, to allow or deny the transition
+         * @param   {number|string}     [after]     An optional delay, in milliseconds or as a duration string such as '5s', after which to run the action automatically
+         * @param   {Function|Object|string}    [assign]    An optional updater function, hash of values or updaters, or the name of a method, to update the context when the transition completes
          * @returns {TransitionMap}
          */
-        add: function (action, from, to)
+        add: function (action, from, to, guard, after, assign)
         {
             // procss variables
             action  = trim(action);
             from    = trim(from);
             to      = typeof to === 'string' ? trim(to) : to;
+            after   = after ? toMilliseconds(after) : 0;
 
             // check for wildcards
             if(to === '*')
             {
-                throw new Error('Transitioning to a wildcard doesn\'t make sense');
+                throw new ConfigError('Transitioning to a wildcard doesn\'t make sense', {action, from, to});
+            }
+
+            // check delays
+            if(!(after >= 0))
+            {
+                throw new ConfigError('Invalid delay for action "' +action+ '" from "' +from+ '"', {action, from, to});
+            }
+
+            // check that nested states and actions don't share names
+            this.getParents(from).concat(from).forEach( state =>
+            {
+                let value = this.map.get(state);
+                if(isDefined(value) && !isObject(value))
+                {
+                    throw new ConfigError('Nested state "' +state+ '" conflicts with an action of the same name', {action, from, to, state});
+                }
+            });
+            if(isObject(this.map.get(from + '.' + action)))
+            {
+                throw new ConfigError('Action "' +action+ '" conflicts with nested state "' +from+ '.' +action+ '"', {action, from, to});
             }
 
             // add transition
             this.map.set(from + '.' + action, to);
+
+            // add or clear guard
+            guard
+                ? this.guards.set(from + '.' + action, guard)
+                : this.guards.remove(from + '.' + action);
+
+            // add or clear delay
+            after
+                ? this.delays.set(from + '.' + action, after)
+                : this.delays.remove(from + '.' + action);
+
+            // add or clear context updater
+            assign
+                ? this.assigns.set(from + '.' + action, assign)
+                : this.assigns.remove(from + '.' + action);
             return update(this);
         },
 
@@ -67,22 +124,23 @@ TransitionMap.prototype =
          */
         remove: function (state)
         {
-            // remove "from" state
+            // remove "from" state, including any nested states
             this.map.remove(state);
+            this.guards.remove(state);
+            this.delays.remove(state);
+            this.assigns.remove(state);
 
-            // remove "to" states
-            let data = this.map.data;
-            for(let name in data)
+            // remove "to" states, including any nested states
+            walk(this.map.data, '', (from, action, to) =>
             {
-                let from = data[name];
-                for(let action in from)
+                if(to === state || String(to).indexOf(state + '.') === 0)
                 {
-                    if(from[action] === state)
-                    {
-                        delete from[action];
-                    }
+                    this.map.remove(from + '.' + action);
+                    this.guards.remove(from + '.' + action);
+                    this.delays.remove(from + '.' + action);
+                    this.assigns.remove(from + '.' + action);
                 }
-            }
+            });
 
             // update and return
             return update(this);
@@ -95,55 +153,42 @@ TransitionMap.prototype =
         /**
          * Get all available actions (or action => states map) for a given state
          *
+         * Actions with guards that fail are not considered to be available; errors thrown by guards are not caught
+         *
          * @param   {string}    from        Name of a state to get actions for
          * @param   {boolean}   [asMap]     Optional boolean to return a Object of action:state properties. Defaults to false
          * @returns {string[]|Object}       An array of string actions, or a hash of action:states
          */
         getActionsFrom: function (from, asMap = false)
         {
-            if(this.has(from) || this.has('*'))
+            let output = getActions(this, from);
+            for(let action in output)
             {
-                // get all available actions
-                let actions     = this.map.get(from) || {};
-                let wildcard    = this.map.get('*');
-                let output      = Object.assign({}, actions);
-
-                // append wildcard actions
-                if(wildcard)
+                if(!this.isAllowed(from, action))
                 {
-                    for(var action in wildcard)
-                    {
-                        let value = wildcard[action];
-                        if(value !== from && !actions[action])
-                        {
-                            output[action] = value;
-                        }
-                    }
+                    delete output[action];
                 }
-
-                // return map or keys
-                return output
-                    ? asMap
-                        ? output
-                        : Object.keys(output)
-                    : [];
             }
-            return [];
+            return asMap
+                ? output
+                : Object.keys(output);
         },
 
         /**
          * Get the first available action to move from one state to another (if there is one)
          *
+         * Errors thrown by guards are not caught
+         *
          * @param   {string}    from
          * @param   {string}    to
          * @return  {string|null}
          */
         getActionFor: function (from, to)
         {
-            let actions = this.map.get(from);
+            let actions = getActions(this, from);
             for(let action in actions)
             {
-                if(actions[action] === to)
+                if(actions[action] === to && this.isAllowed(from, action))
                 {
                     return action;
                 }
@@ -172,14 +217,105 @@ TransitionMap.prototype =
         /**
          * Get the target "to" state from a "from" state via an "action"
          *
+         * Note this does NOT take into account any guard; use isAllowed() for that
+         *
          * @param   {string}    from
          * @param   {string}    action
          * @returns {string}
          */
         getStateFor: function (from, action)
         {
-            let states = this.getActionsFrom(from, true) || {};
-            return states[action];
+            return getActions(this, from)[action];
+        },
+
+        /**
+         * Get the guard (if there is one) for a "from" state and "action"
+         *
+         * @param   {string}    from
+         * @param   {string}    action
+         * @returns {Function|string|undefined}
+         */
+        getGuardFor: function (from, action)
+        {
+            return this.guards.get(getSource(this, from, action) + '.' + action);
+        },
+
+        /**
+         * Get the delay in milliseconds (if there is one) for a "from" state and "action"
+         *
+         * @param   {string}    from
+         * @param   {string}    action
+         * @returns {number|undefined}
+         */
+        getDelayFor: function (from, action)
+        {
+            return this.delays.get(getSource(this, from, action) + '.' + action);
+        },
+
+        /**
+         * Get the context updater (if there is one) for a "from" state and "action"
+         *
+         * @param   {string}    from
+         * @param   {string}    action
+         * @returns {Function|Object|string|undefined}
+         */
+        getAssignFor: function (from, action)
+        {
+            return this.assigns.get(getSource(this, from, action) + '.' + action);
+        },
+
+        /**
+         * Get all timed actions for a given state
+         *
+         * Note this does NOT take into account any guard; use isAllowed() for that
+         *
+         * @param   {string}    from
+         * @returns {Object}    A hash of action:milliseconds values
+         */
+        getDelaysFrom: function (from)
+        {
+            let output  = {};
+            let actions = getActions(this, from);
+            for(let action in actions)
+            {
+                let delay = this.getDelayFor(from, action);
+                if(delay)
+                {
+                    output[action] = delay;
+                }
+            }
+            return output;
+        },
+
+        /**
+         * Get the parent states of a nested state, outermost first
+         *
+         * For example, "checkout.payment.card" returns ["checkout", "checkout.payment"]
+         *
+         * @param   {string}    state
+         * @returns {string[]}
+         */
+        getParents: function (state)
+        {
+            let names = String(state || '').split('.');
+            names.pop();
+            return names.map( (name, index) => names.slice(0, index + 1).join('.') );
+        },
+
+        /**
+         * Get all transitions within the system, including any guards, delays and context updaters
+         *
+         * @returns {TransitionMeta[]}
+         */
+        getTransitions: function ()
+        {
+            let transitions = [];
+            walk(this.map.data, '', (from, action, to) =>
+            {
+                let path = from + '.' + action;
+                transitions.push(new TransitionMeta(action, from, to, this.guards.get(path), this.delays.get(path), this.assigns.get(path)));
+            });
+            return transitions;
         },
 
         /**
@@ -215,6 +351,32 @@ TransitionMap.prototype =
         },
 
 
+    // ------------------------------------------------------------------------------------------------
+    // export
+
+        /**
+         * Export the system as a Graphviz DOT digraph
+         *
+         * @param   {Object}    [options]   An optional object with initial, final and wildcards ('node' or 'expand') properties
+         * @returns {string}
+         */
+        toDot: function (options)
+        {
+            return exportDot(this, getExportOptions(this, options));
+        },
+
+        /**
+         * Export the system as a Mermaid stateDiagram-v2 diagram
+         *
+         * @param   {Object}    [options]   An optional object with initial, final and wildcards ('node' or 'expand') properties
+         * @returns {string}
+         */
+        toMermaid: function (options)
+        {
+            return exportMermaid(this, getExportOptions(this, options));
+        },
+
+
     // ------------------------------------------------------------------------------------------------
     // checks
 
@@ -229,6 +391,17 @@ TransitionMap.prototype =
             return this.states.indexOf(state) !== -1;
         },
 
+        /**
+         * Test if the given state has nested states
+         *
+         * @param   {string}    state
+         * @returns {boolean}
+         */
+        isCompound: function (state)
+        {
+            return this.states.some( name => name.indexOf(state + '.') === 0 );
+        },
+
         /**
          * Test if the given action exists within the system
          *
@@ -253,6 +426,39 @@ TransitionMap.prototype =
             return this.map.get(from + '.' + action) === to;
         },
 
+        /**
+         * Test if a transition's guard (if it has one) allows it to run
+         *
+         * Guards are called in the StateMachine's scope, with a TransitionMeta, the StateMachine and any passed parameters.
+         * Errors thrown by guards are not caught, and a ConfigError is thrown for unknown named guards
+         *
+         * @param   {string}    from
+         * @param   {string}    action
+         * @param   {Array}     [params]
+         * @returns {boolean}
+         */
+        isAllowed: function (from, action, params = [])
+        {
+            let guard = this.getGuardFor(from, action);
+            if(guard)
+            {
+                let fsm     = this.fsm;
+                let scope   = fsm ? fsm.config.scope : null;
+                if(isString(guard))
+                {
+                    let name = guard;
+                    guard = scope && scope[name] || fsm && fsm[name];
+                    if(!isFunction(guard))
+                    {
+                        throw new ConfigError('Unknown guard "' +name+ '" for action "' +action+ '"', {action, from, guard: name}, 'ERR_UNKNOWN_METHOD');
+                    }
+                }
+                let meta = new TransitionMeta(action, from, this.getStateFor(from, action));
+                return !! guard.apply(scope, [meta, fsm].concat(params));
+            }
+            return true;
+        },
+
         /**
          * Utility function to directly check if the composed ValueMap has the requested path
          *
@@ -273,9 +479,105 @@ TransitionMap.prototype =
 
 TransitionMap.prototype.constructor = TransitionMap;
 
+/**
+ * Private utility function to test if a map value is an action's target (rather than a nested state)
+ *
+ * @param   {*}         value
+ * @returns {boolean}
+ */
+function isAction(value)
+{
+    return isDefined(value) && !isObject(value);
+}
+
+/**
+ * Private utility function to call a function for every transition in the map, including nested states
+ *
+ * @param   {Object}    data
+ * @param   {string}    state
+ * @param   {Function}  fn      A callback receiving from, action and to arguments
+ */
+function walk(data, state, fn)
+{
+    for(let name in data)
+    {
+        let value = data[name];
+        if(isObject(value))
+        {
+            walk(value, state ? state + '.' + name : name, fn);
+        }
+        else if(state)
+        {
+            fn(state, name, value);
+        }
+    }
+}
+
+/**
+ * Private utility function to get all actions (including parent and wildcard actions) for a state, regardless of guards
+ *
+ * Actions on nested states take precedence over those of their parents, which take precedence over wildcard actions
+ *
+ * @param   {TransitionMap} target
+ * @param   {string}        from
+ * @returns {Object}        A hash of action:state values
+ */
+function getActions(target, from)
+{
+    // get all available actions
+    let output      = {};
+    let states      = [from].concat(target.getParents(from).reverse());
+    let wildcard    = target.map.get('*');
+    states.forEach( state =>
+    {
+        let actions = target.has(state) ? target.map.get(state) : {};
+        for(let action in actions)
+        {
+            if(isAction(actions[action]) && !output.hasOwnProperty(action))
+            {
+                output[action] = actions[action];
+            }
+        }
+    });
+
+    // append wildcard actions
+    if(wildcard)
+    {
+        for(let action in wildcard)
+        {
+            let value = wildcard[action];
+            if(value !== from && !output[action])
+            {
+                output[action] = value;
+            }
+        }
+    }
+    return output;
+}
+
+/**
+ * Private utility function to get the state which defines an action for a "from" state
+ *
+ * This is the state itself, or its nearest parent, or the wildcard state
+ *
+ * @param   {TransitionMap} target
+ * @param   {string}        from
+ * @param   {string}        action
+ * @returns {string}
+ */
+function getSource(target, from, action)
+{
+    return [from]
+        .concat(target.getParents(from).reverse())
+        .filter( state => isAction(target.map.get(state + '.' + action)) )
+        .shift() || '*';
+}
+
 /**
  * Private utility function to update existing states and actions
  *
+ * Parents of nested states are also considered states
+ *
  * @param   {TransitionMap} target
  * @returns {TransitionMap}
  */
@@ -284,23 +586,36 @@ function update(target)
     // variables
     var actions     = {};
     var states      = {};
-    var data        = target.map.data;
-    var to;
 
-    // collate from states
-    for(let from in data)
+    // add states, including parents
+    function add (state)
+    {
+        target.getParents(state).concat(state).forEach( state => states[state] = true );
+    }
+
+    // collate states and actions
+    function collate (data, from)
     {
-        states[from] = true;
-        for(let action in data[from])
+        for(let name in data)
         {
-            actions[action] = true;
-            to = data[from][action];
-            if(typeof to !== 'function')
+            let to = data[name];
+            if(isObject(to))
             {
-                states[to] = true;
+                let state = from ? from + '.' + name : name;
+                add(state);
+                collate(to, state);
+            }
+            else if(from)
+            {
+                actions[name] = true;
+                if(typeof to !== 'function')
+                {
+                    add(to);
+                }
             }
         }
     }
+    collate(target.map.data, '');
 
     // update
     target.states  = Object.keys(states).filter(state => state !== '*');
@@ -310,4 +625,10 @@ function update(target)
     return target;
 }
 
+function getExportOptions(target, options)
+{
+    let config = target.fsm ? target.fsm.config : {};
+    return Object.assign({initial: config.initial, final: config.final, wildcards: 'node'}, options);
+}
+
 export default TransitionMap;
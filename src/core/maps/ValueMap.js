@@ -173,6 +173,10 @@ export function remove(obj, path, value)
     {
         parent = get(obj, keys.join('.'))
     }
+    if(!isObject(parent))
+    {
+        return false;
+    }
     if(isDefined(value) && isArray(parent[key]))
     {
         let target = parent[key];
@@ -190,7 +194,7 @@ export function remove(obj, path, value)
     }
     else
     {
-        if(isObject(parent) && obj.hasOwnProperty(key))
+        if(parent.hasOwnProperty(key))
         {
             delete parent[key];
             return true;
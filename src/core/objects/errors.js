@@ -1,10 +1,114 @@
-export function ParseError(message, path, id)
-{
-    this.message = message;
-    this.path = path;
-    this.id = id;
-}
-
-ParseError.prototype = Error.prototype;
-ParseError.prototype.name = 'ParseError';
-ParseError.prototype.constructor = ParseError;
\ No newline at end of file
+// ------------------------------------------------------------------------------------------------
+// setup
+
+    /**
+     * All errors have the following properties, as well as the standard name, message and stack
+     *
+     * @prop {string}       code        A stable error code, i.e. ERR_PARSE or ERR_CANCELLED
+     * @prop {Object}       details     Any structured details, i.e. {action, from, to}
+     */
+    function initialize (error, message, details, code)
+    {
+        error.message   = message;
+        error.details   = details || {};
+        if(code)
+        {
+            error.code = code;
+        }
+        if(Error.captureStackTrace)
+        {
+            Error.captureStackTrace(error, error.constructor);
+        }
+        else
+        {
+            error.stack = new Error(message).stack;
+        }
+    }
+
+    function extend (Child, Parent, name, code)
+    {
+        Child.prototype = Object.create(Parent.prototype);
+        Child.prototype.constructor = Child;
+        Child.prototype.name = name;
+        Child.prototype.code = code;
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// StateMachineError
+
+    /**
+     * Base class for all StateMachine errors
+     *
+     * @param   {string}    message
+     * @param   {Object}    [details]
+     * @param   {string}    [code]      An optional code, if different from the class's default code
+     */
+    export function StateMachineError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(StateMachineError, Error, 'StateMachineError', 'ERR_STATE_MACHINE');
+
+
+// ------------------------------------------------------------------------------------------------
+// subclasses
+
+    /**
+     * A transition shorthand or handler id could not be parsed
+     *
+     * Details may include the source, id, path and position of the error
+     */
+    export function ParseError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(ParseError, StateMachineError, 'ParseError', 'ERR_PARSE');
+
+    /**
+     * Options or transitions are invalid, a named guard or assign method doesn't exist (ERR_UNKNOWN_METHOD),
+     * or a helper is used without a StateMachine (ERR_MISSING_MACHINE)
+     */
+    export function ConfigError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(ConfigError, StateMachineError, 'ConfigError', 'ERR_CONFIG');
+
+    /**
+     * A handler is not a function, or targets an unrecognised state or action (ERR_UNKNOWN_TARGET)
+     */
+    export function HandlerError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(HandlerError, StateMachineError, 'HandlerError', 'ERR_HANDLER');
+
+    /**
+     * A state does not exist
+     */
+    export function StateNotFoundError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(StateNotFoundError, StateMachineError, 'StateNotFoundError', 'ERR_STATE_NOT_FOUND');
+
+    /**
+     * A transition could not run or did not complete
+     *
+     * Codes are ERR_TRANSITION, ERR_ACTION_UNAVAILABLE, ERR_CANCELLED, ERR_INTERRUPTED, ERR_DROPPED, ERR_CLEARED or ERR_BLOCKED
+     */
+    export function TransitionError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(TransitionError, StateMachineError, 'TransitionError', 'ERR_TRANSITION');
+
+    /**
+     * Action parameters do not match the action's schema
+     */
+    export function ValidationError (message, details, code)
+    {
+        initialize(this, message, details, code);
+    }
+    extend(ValidationError, StateMachineError, 'ValidationError', 'ERR_INVALID_PARAMS');
@@ -2,76 +2,259 @@
 // setup
 
     /**
-     * @prop {string}       namespace   The Event namespace; i.e. state or action
+     * Base class for all events
+     *
+     * @prop {string}       namespace   The Event namespace; i.e. system, transition, state or action
      * @prop {string}       type        The Event type;      i.e. leave/enter (state) or start/end (action)
-     * @prop {string}       target      The Event target;    i.e. intro (state), next (action), or * (all states or types)
-     * @prop {Transition}   transition  The transition which generated the event
+     * @prop {Transition}   transition  The transition which generated the event, if any
+     * @prop {number}       timestamp   The time the event was dispatched, in milliseconds since the epoch
      */
-    let event =
+    function Event (namespace, type, transition)
+    {
+        this.namespace      = namespace;
+        this.type           = type;
+        this.transition     = transition || null;
+        this.timestamp      = Date.now();
+    }
+
+    Event.prototype =
     {
         // properties
-        namespace   : null,
-        type        : null,
-        target      : null,
-        transition          : null
+        namespace                   : '',
+        type                        : '',
+        transition                  : null,
+        timestamp                   : 0,
+        defaultPrevented            : false,
+        propagationStopped          : false,
+        immediatePropagationStopped : false,
+
+        /**
+         * The transition's action, or an empty string
+         *
+         * @returns {string}
+         */
+        get action ()
+        {
+            return this.transition ? this.transition.action : '';
+        },
+
+        /**
+         * The transition's "from" state, or an empty string
+         *
+         * @returns {string}
+         */
+        get from ()
+        {
+            return this.transition ? this.transition.from : '';
+        },
+
+        /**
+         * The transition's "to" state, or an empty string
+         *
+         * @returns {string}
+         */
+        get to ()
+        {
+            return this.transition ? this.transition.to : '';
+        },
+
+        /**
+         * Any parameters passed to the action
+         *
+         * @returns {Array}
+         */
+        get params ()
+        {
+            return this.transition && this.transition.params ? this.transition.params : [];
+        },
+
+        /**
+         * Pause the transition, if it is still in progress
+         *
+         * @returns {Event}
+         */
+        pause: function ()
+        {
+            let fsm = getMachine(this);
+            fsm && fsm.pause();
+            return this;
+        },
+
+        /**
+         * Resume the transition, if it is still in progress
+         *
+         * @returns {Event}
+         */
+        resume: function ()
+        {
+            let fsm = getMachine(this);
+            fsm && fsm.resume();
+            return this;
+        },
+
+        /**
+         * Cancel the transition, if it is still in progress
+         *
+         * @returns {Event}
+         */
+        cancel: function ()
+        {
+            let fsm = getMachine(this);
+            fsm && fsm.cancel();
+            return this;
+        },
+
+        /**
+         * Flag the event as prevented, cancelling the transition
+         *
+         * @returns {Event}
+         */
+        preventDefault: function ()
+        {
+            this.defaultPrevented = true;
+            return this.cancel();
+        },
+
+        /**
+         * Skip handlers for the same event on other targets, i.e. state.*.leave after state.intro.leave
+         *
+         * @returns {Event}
+         */
+        stopPropagation: function ()
+        {
+            this.propagationStopped = true;
+            skip(this, event => event !== this && event.namespace === this.namespace && event.type === this.type);
+            return this;
+        },
+
+        /**
+         * Skip the remaining handlers for the same path, as well as stopping propagation
+         *
+         * @returns {Event}
+         */
+        stopImmediatePropagation: function ()
+        {
+            this.immediatePropagationStopped = true;
+            skip(this, event => event === this);
+            return this.stopPropagation();
+        }
     };
 
-    function initialize (event, namespace, type, target, transition)
+    /**
+     * Create an Event subclass
+     *
+     * @param   {Function}  Child
+     * @param   {Object}    props   Default properties to add to the prototype
+     */
+    function extend (Child, props)
     {
-        event.namespace     = namespace;
-        event.type          = type;
-        event.target        = target;
-        event.transition    = transition;
+        Child.prototype = Object.create(Event.prototype);
+        Child.prototype.constructor = Child;
+        Object.keys(props).forEach( key => Child.prototype[key] = props[key] );
+    }
+
+    /**
+     * Get the StateMachine whose transition generated the event, if the transition is still in progress
+     *
+     * @param   {Event}     event
+     * @returns {StateMachine|null}
+     */
+    function getMachine (event)
+    {
+        let transition = event.transition;
+        return transition && transition.fsm.transition === transition
+            ? transition.fsm
+            : null;
+    }
+
+    /**
+     * Remove the transition's remaining handlers whose events match a filter
+     *
+     * @param   {Event}     event
+     * @param   {Function}  filter  A function which is passed each handler's event
+     */
+    function skip (event, filter)
+    {
+        if(getMachine(event))
+        {
+            let transition = event.transition;
+            transition.handlers = transition.handlers.filter( handler => !(handler.event && filter(handler.event)) );
+        }
     }
 
 
 // ------------------------------------------------------------------------------------------------
 // ActionEvent
 
+    /**
+     * @prop {string}       target      The Event target; i.e. next, or * for all actions
+     * @prop {Object}       context     The StateMachine's context when the transition started
+     */
     export function ActionEvent (type, target, transition)
     {
-        initialize(this, 'action' ,type, target, transition);
+        Event.call(this, 'action', type, transition);
+        this.target     = target;
+        this.context    = transition ? transition.fsm.context : null;
     }
-    ActionEvent.prototype = event;
+    extend(ActionEvent,
+    {
+        target      : null,
+        context     : null
+    });
 
 
 // ------------------------------------------------------------------------------------------------
 // StateEvent
 
+    /**
+     * @prop {string}       target      The Event target; i.e. intro, or * for all states
+     * @prop {Object}       context     The StateMachine's context when the transition started
+     */
     export function StateEvent (type, target, transition)
     {
-        initialize(this, 'state' ,type, target, transition);
+        Event.call(this, 'state', type, transition);
+        this.target     = target;
+        this.context    = transition ? transition.fsm.context : null;
     }
-    StateEvent.prototype = event;
+    extend(StateEvent,
+    {
+        target      : null,
+        context     : null
+    });
 
 
 // ------------------------------------------------------------------------------------------------
 // SystemEvent
 
-    export function SystemEvent (type, value)
+    /**
+     * @prop {*}            value       The event's payload, i.e. the new state for change events
+     * @prop {string}       region      The name of the parallel region which generated the event, if any
+     */
+    export function SystemEvent (type, value, region = '')
     {
-        this.type   = type;
+        Event.call(this, 'system', type);
         this.value  = value;
+        this.region = region;
     }
-
-    SystemEvent.prototype =
+    extend(SystemEvent,
     {
-        namespace   : 'system',
-        type        : '',
-        value       : null
-    };
+        value       : null,
+        region      : ''
+    });
 
 
 // ------------------------------------------------------------------------------------------------
 // TransitionEvent
 
-    export function TransitionEvent (type)
+    /**
+     * @prop {*}            value       The event's payload, i.e. true when paused
+     */
+    export function TransitionEvent (type, value, transition)
     {
-        this.type = type;
+        Event.call(this, 'transition', type, transition);
+        this.value  = value;
     }
-
-    TransitionEvent.prototype =
+    extend(TransitionEvent,
     {
-        namespace   : 'transition',
-        type        : ''
-    };
+        value       : null
+    });
@@ -1,4 +1,4 @@
-function HandlerMeta (id, path, namespace = '', target = '')
+function HandlerMeta (id, path, namespace = '', target = '', tag = '', exclude = null, match = null)
 {
     this.id         = id;
     this.path       = path;
@@ -10,6 +10,18 @@ function HandlerMeta (id, path, namespace = '', target = '')
     {
         this.target     = target;
     }
+    if(tag)
+    {
+        this.tag        = tag;
+    }
+    if(exclude)
+    {
+        this.exclude    = exclude;
+    }
+    if(match)
+    {
+        this.match      = match;
+    }
 }
 
 HandlerMeta.prototype =
@@ -17,7 +29,10 @@ HandlerMeta.prototype =
     id          : '',
     path        : '',
     namespace   : '',
-    target      : ''
+    target      : '',
+    tag         : '',
+    exclude     : null,
+    match       : null
 };
 
 export default HandlerMeta;
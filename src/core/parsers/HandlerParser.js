@@ -12,45 +12,126 @@ import { ParseError } from '../objects/errors';
         return /^(start|change|complete|reset)$/.test(token);
     }
 
+    /**
+     * Test for a system event type, including those which need the "system." namespace, as their
+     * names are also likely state names, i.e. 'system.history' but 'history' for state.history.enter
+     *
+     * @param   {string}    token
+     * @returns {boolean}
+     */
+    function isSystemType(token)
+    {
+        return isSystem(token) || /^(history|context)$/.test(token);
+    }
+
     function isTransition(token)
     {
         return /^(pause|resume|cancel)$/.test(token);
     }
 
-    function expandGroups (input)
+    function isNamespace(token)
     {
-        var rx 		= /\((.+?)\)/;
-        var matches = input.match(rx);
+        return /^(system|transition|state|action)$/.test(token);
+    }
+
+    /**
+     * Create a ParseError for a token, or for the end of the id if there is no token
+     *
+     * @param   {string}    message
+     * @param   {string}    path        The expanded path being parsed
+     * @param   {Token}     [token]
+     * @returns {ParseError}
+     */
+    function getError (message, path, token)
+    {
+        let position = token ? token.position : _id.length;
+        return new ParseError(message + ' at position ' + position + ' of "' +_id+ '"', {id: _id, path, position});
+    }
+
+    /**
+     * Get the source of a list of tokens
+     *
+     * @param   {Token[]}   tokens
+     * @returns {string}
+     */
+    function getSource (tokens)
+    {
+        return tokens.map( token => token.match ).join('');
+    }
+
+    /**
+     * Get a RegExp for a glob or regular expression target, i.e. 'step*' or '/^admin_/i'
+     *
+     * @param   {string}    target
+     * @returns {RegExp|null}   A RegExp, or null if the target is a name or the '*' wildcard
+     */
+    function getPattern (target)
+    {
+        let matches = target.match(/^\/(.+)\/(\w*)$/);
         if(matches)
         {
-            var group = matches[0];
-            var items = matches[1].match(/\S+/g);
-            if(items)
-            {
-                items = items.map(item => input.replace(group, item));
-                if(rx.test(items[0]))
-                {
-                    return items.reduce( (output, input) => {
-                        return output.concat(expandGroups(input));
-                    }, []);
-                }
-                return items;
-            }
+            return new RegExp(matches[1], matches[2]);
         }
-        return [input];
+        if(target !== '*' && target.indexOf('*') > -1)
+        {
+            return new RegExp('^' + target.split('*').map( part => part.replace(/\./g, '\\.') ).join('.*') + '$');
+        }
+        return null;
     }
 
-    function addPath (path, namespace, target)
+    /**
+     * Replace the target of a 'namespace.target.type' path with the '*' wildcard
+     *
+     * @param   {string}    path
+     * @returns {string}
+     */
+    function getWildcardPath (path)
     {
-        results.push(new HandlerMeta(_id, path, namespace, target));
-        return true;
+        let parts = path.split('.');
+        return [parts.shift(), '*', parts.pop()].join('.');
     }
 
-    function addError (message, path)
+    /**
+     * Combine every sequence with every alternative, i.e. [[a], [b]] x [[@next]] => [[a, @next], [b, @next]]
+     *
+     * @param   {Array[]}   sequences
+     * @param   {Array[]}   alternatives
+     * @returns {Array[]}
+     */
+    function combine (sequences, alternatives)
     {
-        var error = new ParseError(message, path, _id);
-        results.push(error);
-        return false;
+        return sequences.reduce( (output, sequence) =>
+        {
+            return output.concat(alternatives.map( alternative => sequence.concat(alternative) ));
+        }, []);
+    }
+
+    /**
+     * Combine pattern and negated HandlerMetas for the same path and tag, so '(step* admin_*):enter' runs for
+     * states matching either pattern, and '!(a b):enter' runs for every state except a and b
+     *
+     * @param   {Array}     results     An array of HandlerMeta and ParseError instances
+     * @returns {Array}
+     */
+    function merge (results)
+    {
+        let combined = {};
+        return results.filter( result =>
+        {
+            let prop = result.match ? 'match' : result.exclude ? 'exclude' : '';
+            if(prop)
+            {
+                let key = prop + ':' + result.path + '.' + result.tag;
+                let meta = combined[key];
+                if(meta)
+                {
+                    meta[prop] = meta[prop].concat(result[prop].filter( item => meta[prop].indexOf(item) === -1 ));
+                    return false;
+                }
+                combined[key] = result;
+            }
+            return true;
+        });
     }
 
 
@@ -60,176 +141,505 @@ import { ParseError } from '../objects/errors';
     /**
      * Parses event handler id into a HandlerMeta results containing handler paths
      *
+     * The id is tokenized, then groups and lists are expanded into separate paths, which are each parsed
+     * into a HandlerMeta. Any errors are returned as ParseErrors, with the position of the offending token
+     *
      * @param   {string}    id          The handler id to parse, i.e. '@next', 'intro:end', 'change', etc
      * @param   {Object}    defaults     A StateMachine instance to test for states and actions
-     * @return  {HandlerMeta[]}
+     * @return  {Array}     An array of HandlerMeta and ParseError instances
      */
     export default function parse(id, defaults)
     {
-        // pre-parse handler
-        id          = trim(id);
-
         // objects
-        _id         = id;
+        _id         = trim(id);
         _defaults   = defaults;
-        results     = [];
 
-        // parse
-        parser.parse(id, defaults);
+        // empty ids
+        if(!_id)
+        {
+            return [new HandlerMeta(_id, '')];
+        }
+
+        // tokenize and expand
+        let sequences;
+        try
+        {
+            sequences = parser.parse(lexer.process(_id));
+        }
+        catch(error)
+        {
+            return [error.details && error.details.id === _id
+                ? error
+                : getError('Unrecognised character "' +_id.charAt(error.details.position)+ '"', _id, {position: error.details.position})];
+        }
 
-        // return
-        return results;
+        // parse paths
+        return merge(sequences.map( tokens =>
+        {
+            try
+            {
+                return compiler.compile(tokens);
+            }
+            catch(error)
+            {
+                return error;
+            }
+        }));
     }
 
 
 // ------------------------------------------------------------------------------------------------
 // objects
 
-    let results,
-        _defaults,
+    let _defaults,
         _id;
 
-    var patterns  =
+    let lexer   = new Lexer(
     {
-        // start pause intro
-        alias               : /^(\w+)$/,
+        // /^admin_/ /step\d/i
+        regex       : /^\/(?:\\.|[^\/\\])+\/[imu]*/,
 
-        // system.start state.add
-        namespaced          : /^(system|transition|state|action)\.(\w+)$/,
+        // intro next analytics step*
+        word        : /^[\w*]+/,
 
-        // @next @quit
-        oneAction           : /^@(\w+)$/,
+        // ( )
+        open        : /^\(/,
+        close       : /^\)/,
 
-        // @next:start @next:end
-        oneActionEvent      : /^@(\w+):(start|end)$/,
+        // , |
+        separator   : /^\s*[,|]\s*/,
 
-        // :start :end
-        anyActionEvent      : /^:(start|end)$/,
+        // whitespace between patterns
+        space       : /^\s+/,
 
-        // intro form
-        oneState            : /^#(\w+)$/,
+        // . : @ # !
+        symbol      : /^[.:@#!]/
+    });
 
-        // intro:enter intro:leave
-        oneStateEvent       : /^#?(\w+):(leave|enter)$/,
+    /**
+     * Parses tokens into sequences, expanding groups and lists
+     *
+     * - list       : sequence (separator | space) sequence ...
+     * - sequence   : (word | symbol | group) ...
+     * - group      : '(' list ')'
+     */
+    let parser =
+    {
+        tokens  : null,
 
-        // :enter :leave
-        anyStateEvent       : /^:(enter|leave)$/,
+        index   : 0,
 
-        // intro@next
-        oneStateAction      : /^#?(\w+)@(\w+)$/
-    };
+        /**
+         * Parse tokens into an array of token sequences, one for each expanded path
+         *
+         * @param   {Token[]}   tokens
+         * @returns {Array[]}
+         */
+        parse (tokens)
+        {
+            this.tokens = tokens;
+            this.index  = 0;
+            let sequences = this.list();
+            let token = this.peek();
+            if(token)
+            {
+                throw getError('Unexpected "' +token.match+ '"', _id, token);
+            }
+            return sequences;
+        },
 
-    let lexer   = new Lexer(patterns);
+        list ()
+        {
+            let sequences = this.sequence();
+            let token;
+            while((token = this.peek()) && /^(separator|space)$/.test(token.type))
+            {
+                this.index++;
+                if(token.type === 'space' && (!this.peek() || this.peek().type === 'close'))
+                {
+                    break;
+                }
+                sequences = sequences.concat(this.sequence());
+            }
+            return sequences;
+        },
+
+        sequence ()
+        {
+            let sequences = [[]];
+            let token;
+            while((token = this.peek()) && /^(word|regex|symbol|open)$/.test(token.type))
+            {
+                sequences = combine(sequences, token.type === 'open'
+                    ? this.group()
+                    : [[this.tokens[this.index++]]]);
+            }
+            if(!sequences[0].length)
+            {
+                throw getError(token ? 'Unexpected "' +trim(token.match)+ '"' : 'Unexpected end of id', _id, token);
+            }
+            return sequences;
+        },
+
+        group ()
+        {
+            let open = this.tokens[this.index++];
+            if(this.peek() && this.peek().type === 'space')
+            {
+                this.index++;
+            }
+            let sequences = this.list();
+            let close = this.peek();
+            if(!close || close.type !== 'close')
+            {
+                throw getError('Unclosed group', _id, open);
+            }
+            this.index++;
+            return sequences;
+        },
+
+        peek ()
+        {
+            return this.tokens[this.index];
+        }
+    };
 
-    var parser =
+    /**
+     * Compiles a sequence of tokens into a HandlerMeta
+     *
+     * - negation   : '!'? pattern
+     * - pattern    : tag | ':' type | '@' action | namespace '.' type | alias | '#'? state ('@' action)? (':' type)?
+     * - tag        : '.' word
+     *
+     * States and actions may be globs or regular expressions, i.e. 'step*' or '/^admin_/', which are compiled
+     * to wildcard paths with a match property, so they are resolved as transitions are created
+     */
+    let compiler =
     {
+        tokens  : null,
+
+        index   : 0,
+
+        path    : '',
+
         /**
-         * Parses event handler id into HandlerMeta instance
-         *
-         * Resolving namespace, type and target properties
-         *
-         * @param   {string}        id
-         * @param   {Object}        defaults
+         * @param   {Token[]}   tokens
+         * @returns {HandlerMeta}
          */
-        parse (id, defaults)
+        compile (tokens)
         {
-            // expand groups
-            let paths   = expandGroups(id);
-
-            // process paths
-            paths.map( path => this.parsePath(path) );
+            this.tokens = tokens;
+            this.index  = 0;
+            this.path   = getSource(tokens);
+
+            let negation    = this.accept('!');
+            let meta        = this.pattern();
+            let token       = this.peek();
+            if(token)
+            {
+                throw this.error('Unexpected "' +token.match+ '"', token);
+            }
+            return negation
+                ? this.negate(meta, negation)
+                : this.generalize(meta);
         },
 
-        parsePath:function(path)
+        pattern ()
         {
-            let tokens;
-            try
+            // .tag
+            if(this.accept('.'))
             {
-                tokens = lexer.process(path)
+                return this.create('', '', '', this.word('tag').match);
             }
-            catch(error)
+
+            // :enter :start
+            if(this.accept(':'))
+            {
+                let type        = this.word('type');
+                let namespace   = this.getNamespace(type);
+                return this.create(namespace + '.*.' + type.match, namespace, '*', this.tag());
+            }
+
+            // @next @next:end
+            if(this.accept('@'))
+            {
+                let action = this.name('action').match;
+                return this.action(action);
+            }
+
+            // intro #intro intro.child system.change change.tag
+            let hash    = this.accept('#');
+            let tokens  = [this.name('state')];
+            while(tokens[0].type === 'word' && this.peek('.') && this.tokens[this.index + 1] && this.tokens[this.index + 1].type === 'word')
+            {
+                this.index++;
+                tokens.push(this.tokens[this.index++]);
+            }
+            let names   = tokens.map( token => token.match );
+
+            // namespaced and aliased events, with an optional tag
+            if(!hash && !this.peek())
+            {
+                if(/^(state|action)$/.test(names[0]) && names.length === 3 && !/^(add|remove)$/.test(names[1]))
+                {
+                    return this.absolute(names[0], names[1], this.check(tokens[2], 'type'));
+                }
+                if(isNamespace(names[0]) && names.length > 1 && names.length < 4)
+                {
+                    return this.namespaced(names[0], tokens[1], tokens[2] && this.check(tokens[2], 'tag').match);
+                }
+                if((isSystem(names[0]) || isTransition(names[0])) && names.length < 3)
+                {
+                    tokens[1] && this.check(tokens[1], 'tag');
+                    return this.alias(names[0], names[1]);
+                }
+            }
+
+            // state.intro:enter action.next:end
+            let namespace = '';
+            if(!hash && names.length > 1 && /^(state|action)$/.test(names[0]) && (this.peek(':') || this.peek('@')))
             {
-                return addError('Unrecognised pattern "' +path+ '"', path);
+                namespace = names.shift();
             }
+            let target = names.join('.');
 
-            if(tokens && tokens.length)
+            // intro@next
+            if(namespace !== 'action' && this.accept('@'))
             {
-                // variables
-                let token   = tokens.shift();
-                var fn      = this[token.type];
+                let action  = this.word('action').match;
+                if(this.accept(':'))
+                {
+                    let type = this.word('type');
+                    if(type.match !== 'start')
+                    {
+                        throw this.error('State actions only have a "start" type, not "' +type.match+ '"', type);
+                    }
+                }
+                return this.create('state.' +target+ '.' + action, 'state/action', target + '@' + action, this.tag());
+            }
 
-                // process
-                if(fn)
+            // intro:leave next:end
+            if(this.accept(':'))
+            {
+                let type    = this.word('type');
+                let typeOf  = this.getNamespace(type);
+                if(namespace && namespace !== typeOf || hash && typeOf !== 'state')
                 {
-                    return fn.apply(this, token.values);
+                    throw this.error('Unrecognised ' +(namespace || 'state')+ ' type "' +type.match+ '"', type);
                 }
-                return addError('Unknown token type "' +token.type+ '"', path);
+                return this.create(typeOf + '.' +target+ '.' + type.match, typeOf, target, this.tag());
             }
+
+            // intro
+            return namespace === 'action'
+                ? this.action(target)
+                : this.create('state.' +target+ '.' + _defaults.state, 'state', target);
         },
 
-        alias (value)
+        action (action)
         {
-            if (isSystem(value))
+            let type = _defaults.action;
+            if(this.accept(':'))
             {
-                return addPath('system.' + value, 'system');
+                let token = this.word('type');
+                if(this.getNamespace(token) !== 'action')
+                {
+                    throw this.error('Unrecognised action type "' +token.match+ '"', token);
+                }
+                type = token.match;
+            }
+            return this.create('action.' +action+ '.' + type, 'action', action, this.tag());
+        },
+
+        namespaced (namespace, token, tag)
+        {
+            let type = token.match;
+            if(namespace === 'system' && isSystemType(type) || namespace === 'transition' && isTransition(type))
+            {
+                return this.create(namespace + '.' + type, namespace, '', tag);
             }
-            if (isTransition(value))
+            if(/^(state|action)$/.test(namespace) && /^(add|remove)$/.test(type))
             {
-                return addPath('transition.' + value, 'transition');
+                return this.create('system.' + namespace + '.' + type, 'system', '', tag);
             }
-            return this.oneState(value);
+            throw this.error('Unrecognised type "' +type+ '" for namespace "' +namespace+ '"', token);
         },
 
-        namespaced (namespace, type)
+        /**
+         * Parse an absolute path, i.e. state.intro.leave, state.intro.next or action.next.end
+         *
+         * @param   {string}    namespace
+         * @param   {string}    target
+         * @param   {Token}     token       The type token
+         * @returns {HandlerMeta}
+         */
+        absolute (namespace, target, token)
         {
-            var path = namespace + '.' + type;
+            let type = token.match;
+            if(namespace === 'state')
+            {
+                return /^(enter|leave)$/.test(type)
+                    ? this.create('state.' +target+ '.' + type, 'state', target)
+                    : this.create('state.' +target+ '.' + type, 'state/action', target + '@' + type);
+            }
+            if(this.getNamespace(token) !== 'action')
+            {
+                throw this.error('Unrecognised action type "' +type+ '"', token);
+            }
+            return this.create('action.' +target+ '.' + type, 'action', target);
+        },
+
+        alias (value, tag)
+        {
+            return isSystem(value)
+                ? this.create('system.' + value, 'system', '', tag)
+                : this.create('transition.' + value, 'transition', '', tag);
+        },
 
-            if(namespace === 'system' && isSystem(type) || namespace === 'transition' && isTransition(type))
+        /**
+         * Convert a state or action HandlerMeta to one which targets all states or actions except its own
+         *
+         * @param   {HandlerMeta}   meta
+         * @param   {Token}         token   The ! token
+         * @returns {HandlerMeta}
+         */
+        negate (meta, token)
+        {
+            if(!/^(state|action)/.test(meta.namespace) || meta.target === '*')
             {
-                return addPath(path, namespace);
+                throw this.error('Only named states and actions can be negated', token);
             }
+            let [target]    = meta.target.split('@');
+            return new HandlerMeta(_id, getWildcardPath(meta.path), meta.namespace, '*', meta.tag, [getPattern(target) || target]);
+        },
 
-            if(/^(state|action)$/.test(namespace) && /^(add|remove)$/.test(type))
+        /**
+         * Convert a state or action HandlerMeta with a glob or regular expression target to one which targets
+         * all states or actions, matching the pattern
+         *
+         * @param   {HandlerMeta}   meta
+         * @returns {HandlerMeta}
+         */
+        generalize (meta)
+        {
+            let [target]    = meta.target.split('@');
+            let pattern     = /^(state|action)/.test(meta.namespace) && getPattern(target);
+            return pattern
+                ? new HandlerMeta(_id, getWildcardPath(meta.path), meta.namespace, '*', meta.tag, null, [pattern])
+                : meta;
+        },
+
+        /**
+         * Get the namespace of an event type
+         *
+         * @param   {Token}     token
+         * @returns {string}    Either state or action
+         */
+        getNamespace (token)
+        {
+            if(/^(enter|leave)$/.test(token.match))
+            {
+                return 'state';
+            }
+            if(/^(start|end)$/.test(token.match))
             {
-                return addPath('system.' + path, 'system');
+                return 'action';
             }
+            throw this.error('Unrecognised type "' +token.match+ '"', token);
+        },
 
-            addError('Unrecognised type "' +type+'" for namespace "' +namespace+ '"', _id)
+        tag ()
+        {
+            return this.accept('.')
+                ? this.word('tag').match
+                : '';
         },
 
-        oneState (state)
+        create (path, namespace, target, tag)
         {
-            return addPath('state.' + state + '.' + _defaults.state, 'state', state);
+            return new HandlerMeta(_id, path, namespace, target, tag);
         },
 
-        oneAction (action)
+        /**
+         * Read a state or action, which may be a glob or regular expression
+         *
+         * @param   {string}    name
+         * @returns {Token}
+         */
+        name (name)
         {
-            return addPath('action.' +action+ '.' +_defaults.action, 'action', action);
+            let token = this.peek();
+            if(token && token.type === 'regex')
+            {
+                try
+                {
+                    getPattern(token.match);
+                }
+                catch(error)
+                {
+                    throw this.error('Invalid regular expression ' + token.match, token);
+                }
+                this.index++;
+                return token;
+            }
+            return this.word(name, true);
         },
 
-        anyActionEvent (event)
+        /**
+         * Read a word, i.e. a type, tag or name
+         *
+         * @param   {string}    name
+         * @param   {boolean}   [glob]  Allow globs, i.e. 'step*'
+         * @returns {Token}
+         */
+        word (name, glob = false)
         {
-            return addPath('action.*.' + event, 'action', '*');
+            let token = this.peek();
+            if(!token || token.type !== 'word')
+            {
+                throw this.error('Expected ' +name+ (token ? ' but found "' +token.match+ '"' : ''), token);
+            }
+            if(!glob)
+            {
+                this.check(token, name);
+            }
+            this.index++;
+            return token;
         },
 
-        oneActionEvent (action, event)
+        /**
+         * Check a word isn't a glob
+         *
+         * @param   {Token}     token
+         * @param   {string}    name
+         * @returns {Token}
+         */
+        check (token, name)
         {
-            return addPath('action.' +action+ '.' + event, 'action', action);
+            if(token.match.indexOf('*') > -1)
+            {
+                throw this.error('Unexpected "*" in ' + name, token);
+            }
+            return token;
         },
 
-        anyStateEvent (event)
+        accept (match)
         {
-            return addPath('state.*.' + event, 'state', '*');
+            return this.peek(match)
+                ? this.tokens[this.index++]
+                : null;
         },
 
-        oneStateEvent (state, event)
+        peek (match)
         {
-            return addPath('state.' +state+ '.' + event, 'state', state);
+            let token = this.tokens[this.index];
+            return token && (!match || token.match === match)
+                ? token
+                : null;
         },
 
-        oneStateAction (state, action)
+        error (message, token)
         {
-            return addPath('state.' +state+ '.' + action, 'state/action', state + '@' + action);
+            return getError(message, this.path, token);
         }
-
     };
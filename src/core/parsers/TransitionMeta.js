@@ -1,8 +1,20 @@
-function TransitionMeta(action, from, to)
+function TransitionMeta(action, from, to, guard, after, assign)
 {
     this.action = action;
     this.from = from;
     this.to = to;
+    if(guard)
+    {
+        this.guard = guard;
+    }
+    if(after)
+    {
+        this.after = after;
+    }
+    if(assign)
+    {
+        this.assign = assign;
+    }
 }
 
 export default TransitionMeta;
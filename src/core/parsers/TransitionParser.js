@@ -1,4 +1,4 @@
-import { isString } from '../utils/utils';
+import { isString, toMilliseconds } from '../utils/utils';
 import { ParseError } from '../objects/errors';
 import TransitionMeta from './TransitionMeta';
 
@@ -10,9 +10,9 @@ import TransitionMeta from './TransitionMeta';
         return 'Invalid transition shorthand pattern "' +tx+ '" - ' + message;
     }
 
-    function add(transitions, action, from, to)
+    function add(transitions, action, from, to, guard, after)
     {
-        transitions.push(new TransitionMeta(action, from, to));
+        transitions.push(new TransitionMeta(action, from, to, guard, after));
     }
 
 
@@ -22,12 +22,35 @@ import TransitionMeta from './TransitionMeta';
     /**
      * Parses/expands transition objects/strings into discrete transitions
      *
+     * Strings may end with a named guard, i.e. 'next : a > b [isValid]'
+     *
+     * Timed transitions start with a delay, and an optional action which defaults to "timeout", i.e.
+     * 'after 5s : idle > sleep' or 'dim after 500ms : idle > dim'
+     *
+     * Nested states are separated with dots, i.e. 'next : checkout.shipping > checkout.payment'
+     *
      * @returns {TransitionMeta[]}  An array of TransitionMeta instances
      */
     export default function parse (tx)
     {
         if(isString(tx))
         {
+            // extract delay
+            let after = 0;
+            tx = tx.replace(/^\s*(?:(\w+)\s+)?after\s+(\d+(?:\.\d+)?\s*(?:ms|s|m|h)?)\s*(?=[:|=])/, (all, action, delay) =>
+            {
+                after = toMilliseconds(delay);
+                return (action || 'timeout') + ' ';
+            });
+
+            // extract guard
+            let guard = '';
+            tx = tx.replace(/\[\s*(\w+)\s*\]\s*$/, (all, name) =>
+            {
+                guard = name;
+                return '';
+            });
+
             // pre-process string
             tx = tx
                 .replace(/([|=:<>])/g, ' $1 ')
@@ -35,14 +58,14 @@ import TransitionMeta from './TransitionMeta';
                 .replace(/^\s+|\s+$/g,'');
 
             // ensure string is valid
-            if(!/^\w+ [:|=] [*\w][\w ]*[<>] [*\w][\w ]*/.test(tx))
+            if(!/^\w+ [:|=] [*\w][\w. ]*[<>] [*\w][\w. ]*/.test(tx))
             {
-                throw new ParseError(getError(tx, 'cannot determine action and states'));
+                throw new ParseError(getError(tx, 'cannot determine action and states'), {source: tx});
             }
 
             // initialize variables
             let transitions = [],
-                matches = tx.match(/([*\w ]+|[<>])/g),
+                matches = tx.match(/([*\w. ]+|[<>])/g),
                 action  = matches.shift().replace(/\s+/g, ''),
                 stack   = [],
                 match   = '',
@@ -61,7 +84,7 @@ import TransitionMeta from './TransitionMeta';
                 }
                 else
                 {
-                    match = match.match(/[*\w]+/g);
+                    match = match.match(/[*\w.]+/g);
                     match = match.length === 1 ? match[0] : match;
                     stack.push(match);
                 }
@@ -74,23 +97,23 @@ import TransitionMeta from './TransitionMeta';
                         : stack;
                     if(Array.isArray(a) && Array.isArray(b))
                     {
-                        throw new ParseError(getError(tx, 'transitioning between 2 arrays doesn\'t make sense'));
+                        throw new ParseError(getError(tx, 'transitioning between 2 arrays doesn\'t make sense'), {source: tx});
                     }
                     if(b === '*')
                     {
-                        throw new ParseError(getError(tx, 'transitioning to a wildcard doesn\'t make sense'));
+                        throw new ParseError(getError(tx, 'transitioning to a wildcard doesn\'t make sense'), {source: tx});
                     }
                     if(Array.isArray(a))
                     {
-                        a.map( a => add(transitions, action, a, b) );
+                        a.map( a => add(transitions, action, a, b, guard, after) );
                     }
                     else if(Array.isArray(b))
                     {
-                        b.map( b => add(transitions, action, a, b) );
+                        b.map( b => add(transitions, action, a, b, guard, after) );
                     }
                     else
                     {
-                        add(transitions, action, a, b);
+                        add(transitions, action, a, b, guard, after);
                     }
 
                     // discard original match once processed
@@ -0,0 +1,70 @@
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    function pad(value, length)
+    {
+        value = String(value);
+        while(value.length < length)
+        {
+            value += ' ';
+        }
+        return value;
+    }
+
+    function format(value)
+    {
+        try
+        {
+            return JSON.stringify(value);
+        }
+        catch(error)
+        {
+            return String(value);
+        }
+    }
+
+    function getLine(entry)
+    {
+        switch(entry.type)
+        {
+            case 'path':
+                return entry.order === entry.path
+                    ? entry.path + ' (' +entry.handlers+ ')'
+                    : entry.order + ' > ' + entry.path + ' (' +entry.handlers+ ')';
+
+            case 'handler':
+            case 'settle':
+                return entry.path + ' ' + entry.name + ' ' + entry.duration.toFixed(1) + 'ms > ' + entry.result;
+
+            case 'event':
+                return entry.path + (entry.value === null || typeof entry.value === 'undefined' ? '' : ' ' + format(entry.value));
+        }
+        return format(entry);
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Creates a tracer which pretty-prints each trace entry to the console
+     *
+     * Transition entries are indented beneath the path which resolved them, i.e.
+     *
+     *     [fsm] path     state.{from}.leave > state.intro.leave (1)
+     *     [fsm] handler    state.intro.leave onLeave 0.1ms > continue
+     *     [fsm] event    system.change "form"
+     *
+     * @param   {Object}    [options]   An object with prefix and console properties
+     * @returns {Function}              A trace function
+     */
+    export default function createConsoleTracer (options = {})
+    {
+        let prefix  = '[' + (options.prefix || 'fsm') + ']';
+        let output  = options.console || console;
+        return function (entry)
+        {
+            let indent = /^(handler|settle)$/.test(entry.type) ? '  ' : '';
+            output.log(prefix + ' ' + pad(entry.type, 8) + ' ' + indent + getLine(entry));
+        };
+    }
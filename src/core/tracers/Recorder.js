@@ -0,0 +1,25 @@
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Creates a tracer which records each trace entry in memory, i.e. for tests
+     *
+     * The returned function has the following properties:
+     *
+     * - entries    : an array of recorded entries
+     * - get(type)  : returns the entries of a type, i.e. 'handler'
+     * - clear()    : removes all entries
+     *
+     * @returns {Function}              A trace function
+     */
+    export default function createRecorder ()
+    {
+        let recorder = function (entry)
+        {
+            recorder.entries.push(entry);
+        };
+        recorder.entries    = [];
+        recorder.get        = type => recorder.entries.filter( entry => entry.type === type );
+        recorder.clear      = () => { recorder.entries.splice(0); };
+        return recorder;
+    }
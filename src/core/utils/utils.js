@@ -18,6 +18,11 @@ export function isFunction(value)
     return value instanceof Function;
 }
 
+export function isPromise (value)
+{
+    return !! value && isFunction(value.then);
+}
+
 export function isDefined (value)
 {
     return typeof value !== 'undefined';
@@ -33,6 +38,24 @@ export function trim (value)
     return String(value || '').replace(/^\s+|\s+$/g, '');
 }
 
+/**
+ * Converts a number of milliseconds, or a duration string such as '500ms', '5s', '2m' or '1h', to milliseconds
+ *
+ * @param   {number|string}     value
+ * @returns {number}            The number of milliseconds, or NaN if the value is invalid
+ */
+export function toMilliseconds (value)
+{
+    if(isString(value))
+    {
+        let matches = value.match(/^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/);
+        return matches
+            ? parseFloat(matches[1]) * {ms: 1, s: 1000, m: 60000, h: 3600000}[matches[2] || 'ms']
+            : NaN;
+    }
+    return Number(value);
+}
+
 export function diff (a, b)
 {
     var da = b.filter( v => a.indexOf(v) < 0 );
@@ -0,0 +1,222 @@
+import StateMachine from '../../StateMachine';
+import parseTransition from '../parsers/TransitionParser';
+import { isFunction } from '../utils/utils';
+
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    function add(diagnostics, level, code, message, details)
+    {
+        diagnostics.push(Object.assign({level, code, message}, details));
+    }
+
+    function getName(to)
+    {
+        return isFunction(to) ? 'function' : to;
+    }
+
+    /**
+     * Parse transitions, checking for invalid shorthand, and duplicate or conflicting from.action pairs
+     *
+     * @param   {Array}     transitions
+     * @param   {Object[]}  diagnostics
+     * @returns {TransitionMeta[]}
+     */
+    function parseTransitions(transitions, diagnostics)
+    {
+        let output  = [];
+        let targets = {};
+        (transitions || []).forEach( tx =>
+        {
+            let metas;
+            try
+            {
+                metas = parseTransition(tx);
+            }
+            catch(error)
+            {
+                return add(diagnostics, 'error', error.code, error.message, {transition: tx});
+            }
+            metas.forEach( meta =>
+            {
+                let key = meta.from + '.' + meta.action;
+                if(targets.hasOwnProperty(key))
+                {
+                    targets[key] === meta.to
+                        ? add(diagnostics, 'warning', 'ERR_DUPLICATE_TRANSITION',
+                            'Transition "' +meta.action+ '" from "' +meta.from+ '" to "' +getName(meta.to)+ '" is declared more than once',
+                            {action: meta.action, from: meta.from, to: meta.to})
+                        : add(diagnostics, 'error', 'ERR_CONFLICTING_TRANSITION',
+                            'Transition "' +meta.action+ '" from "' +meta.from+ '" to "' +getName(meta.to)+ '" overwrites the transition to "' +getName(targets[key])+ '"',
+                            {action: meta.action, from: meta.from, to: meta.to});
+                }
+                targets[key] = meta.to;
+                output.push(meta);
+            });
+        });
+        return output;
+    }
+
+    /**
+     * Walk the transitions from the initial state, ignoring guards
+     *
+     * Entering a nested state also enters its parents. Returns null if a reachable transition has
+     * a function target, as reachability can't then be determined
+     *
+     * @param   {TransitionMap} map
+     * @param   {string}        initial
+     * @returns {Object|null}   A hash of state:true values
+     */
+    function getReachable(map, initial)
+    {
+        let reached = {};
+        let queue   = initial ? [initial] : [];
+        while(queue.length)
+        {
+            let state = queue.shift();
+            if(reached[state])
+            {
+                continue;
+            }
+            map.getParents(state).concat(state).forEach( state => reached[state] = true );
+            for(let action of map.getActions())
+            {
+                let to = map.getStateFor(state, action);
+                if(isFunction(to))
+                {
+                    return null;
+                }
+                if(to && !reached[to])
+                {
+                    queue.push(to);
+                }
+            }
+        }
+        return reached;
+    }
+
+    /**
+     * Check handler ids target existing states and actions
+     *
+     * @param   {StateMachine}  fsm
+     * @param   {Object}        handlers
+     * @param   {Object[]}      diagnostics
+     */
+    function checkHandlers(fsm, handlers, diagnostics)
+    {
+        let level = fsm.config.invalid ? 'warning' : 'error';
+        for(let id in handlers)
+        {
+            if(!handlers.hasOwnProperty(id))
+            {
+                continue;
+            }
+            fsm.handlers.parse(id).forEach( result =>
+            {
+                if(result instanceof Error)
+                {
+                    return add(diagnostics, 'error', result.code, result.message, {handler: id});
+                }
+                if(result.target === '*')
+                {
+                    return;
+                }
+                let [state, action] = result.namespace === 'action'
+                    ? ['', result.target]
+                    : result.target.split('@');
+                if(result.namespace === 'state' || result.namespace === 'state/action')
+                {
+                    if(!fsm.has(state))
+                    {
+                        add(diagnostics, level, 'ERR_UNKNOWN_TARGET', 'Unrecognised state "' +state+ '" in handler "' +id+ '"', {handler: id, state});
+                    }
+                }
+                if(action && !fsm.transitions.hasAction(action))
+                {
+                    add(diagnostics, level, 'ERR_UNKNOWN_TARGET', 'Unrecognised action "' +action+ '" in handler "' +id+ '"', {handler: id, action});
+                }
+            });
+        }
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Validates StateMachine options without starting a machine, returning an array of diagnostics
+     *
+     * No user code is run; handlers, states config, plugins, tracers and clocks are ignored, other than checking handler ids
+     *
+     * Each diagnostic has the format {level, code, message} plus any relevant details such as
+     * state, action, from, to, handler or region. Levels are "error" or "warning". Codes use the same
+     * ERR_* scheme as errors, sharing codes such as ERR_PARSE and ERR_UNKNOWN_TARGET where they overlap
+     *
+     * @param   {Object}    options     StateMachine options
+     * @returns {Object[]}
+     */
+    export default function validate (options)
+    {
+        // parallel machines
+        let diagnostics = [];
+        if(options.regions)
+        {
+            for(let name in options.regions)
+            {
+                if(options.regions.hasOwnProperty(name))
+                {
+                    let region = Object.assign({invalid: options.invalid}, options.regions[name]);
+                    validate(region).forEach( diagnostic => diagnostics.push(Object.assign(diagnostic, {region: name})) );
+                }
+            }
+            return diagnostics;
+        }
+
+        // build an unstarted machine from the valid transitions, without options which call user code or log
+        let fsm;
+        try
+        {
+            let transitions = parseTransitions(options.transitions, diagnostics);
+            fsm = new StateMachine(Object.assign({}, options, {transitions, handlers: null, states: null, plugins: null, trace: null, clock: null, start: false, errors: 0}));
+        }
+        catch(error)
+        {
+            add(diagnostics, 'error', error.code || 'ERR_CONFIG', error.message);
+            return diagnostics;
+        }
+
+        // variables
+        let map     = fsm.transitions;
+        let config  = fsm.config;
+        let reached = getReachable(map, config.initial);
+        let states  = map.getStates();
+
+        // states
+        states.forEach( state =>
+        {
+            if(reached && !reached[state])
+            {
+                add(diagnostics, 'warning', 'ERR_UNREACHABLE_STATE', 'State "' +state+ '" cannot be reached from initial state "' +config.initial+ '"', {state});
+            }
+            if(!map.isCompound(state) && state !== config.final && !map.getActions().some( action => map.getStateFor(state, action) ))
+            {
+                add(diagnostics, 'warning', 'ERR_DEAD_END_STATE', 'State "' +state+ '" has no transitions and is not the final state', {state});
+            }
+        });
+
+        // actions
+        map.getActions().forEach( action =>
+        {
+            let from = states.filter( state => !reached || reached[state] );
+            if(!from.some( state => map.getStateFor(state, action) ))
+            {
+                add(diagnostics, 'warning', 'ERR_UNREACHABLE_ACTION', 'Action "' +action+ '" is not available from any reachable state', {action});
+            }
+        });
+
+        // handlers
+        checkHandlers(fsm, options.handlers || {}, diagnostics);
+
+        // return
+        return diagnostics;
+    }
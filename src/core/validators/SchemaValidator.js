@@ -0,0 +1,127 @@
+import { isObject, isArray, isString, isDefined } from '../utils/utils';
+
+// ------------------------------------------------------------------------------------------------
+// functions
+
+    function getType(value)
+    {
+        if(value === null)
+        {
+            return 'null';
+        }
+        if(isArray(value))
+        {
+            return 'array';
+        }
+        if(typeof value === 'number' && Math.floor(value) === value)
+        {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    function isType(value, type)
+    {
+        let actual = getType(value);
+        return actual === type || type === 'number' && actual === 'integer';
+    }
+
+    function isEqual(a, b)
+    {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+
+// ------------------------------------------------------------------------------------------------
+// export
+
+    /**
+     * Validates a value against a small subset of JSON Schema
+     *
+     * Supported keywords are type, enum, const, minimum, maximum, minLength, maxLength, pattern,
+     * items, minItems, maxItems, properties, required and additionalProperties
+     *
+     * @param   {*}         value
+     * @param   {Object}    schema
+     * @param   {string}    [path]      The path to the value, for error messages
+     * @returns {string[]}              An array of error messages, empty if the value is valid
+     */
+    export default function validate (value, schema, path = 'value')
+    {
+        let errors = [];
+        let add = message => errors.push(path + ' ' + message);
+
+        // type
+        if(schema.type)
+        {
+            let types = [].concat(schema.type);
+            if(!types.some( type => isType(value, type) ))
+            {
+                add('should be ' + types.join(' or '));
+                return errors;
+            }
+        }
+
+        // values
+        if(schema.enum && !schema.enum.some( item => isEqual(item, value) ))
+        {
+            add('should be one of ' + JSON.stringify(schema.enum));
+        }
+        if(schema.hasOwnProperty('const') && !isEqual(schema.const, value))
+        {
+            add('should be ' + JSON.stringify(schema.const));
+        }
+
+        // numbers
+        if(typeof value === 'number')
+        {
+            isDefined(schema.minimum) && value < schema.minimum && add('should be >= ' + schema.minimum);
+            isDefined(schema.maximum) && value > schema.maximum && add('should be <= ' + schema.maximum);
+        }
+
+        // strings
+        if(isString(value))
+        {
+            isDefined(schema.minLength) && value.length < schema.minLength && add('should have at least ' + schema.minLength + ' characters');
+            isDefined(schema.maxLength) && value.length > schema.maxLength && add('should have at most ' + schema.maxLength + ' characters');
+            schema.pattern && !new RegExp(schema.pattern).test(value) && add('should match pattern "' + schema.pattern + '"');
+        }
+
+        // arrays
+        if(isArray(value))
+        {
+            isDefined(schema.minItems) && value.length < schema.minItems && add('should have at least ' + schema.minItems + ' items');
+            isDefined(schema.maxItems) && value.length > schema.maxItems && add('should have at most ' + schema.maxItems + ' items');
+            if(schema.items)
+            {
+                value.forEach( (item, index) =>
+                {
+                    errors = errors.concat(validate(item, schema.items, path + '[' + index + ']'));
+                });
+            }
+        }
+
+        // objects
+        if(isObject(value))
+        {
+            let properties = schema.properties || {};
+            (schema.required || []).forEach( name =>
+            {
+                !value.hasOwnProperty(name) && add('should have required property "' + name + '"');
+            });
+            Object.keys(value).forEach( name =>
+            {
+                if(properties.hasOwnProperty(name))
+                {
+                    errors = errors.concat(validate(value[name], properties[name], path + '.' + name));
+                }
+                else if(schema.additionalProperties === false)
+                {
+                    add('should not have additional property "' + name + '"');
+                }
+            });
+        }
+
+        // return
+        return errors;
+    }
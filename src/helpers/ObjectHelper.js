@@ -6,6 +6,7 @@ function ObjectHelper (fsm)
     this.fsm = fsm;
     this.fsm
         .on('change', this.onChange.bind(this))
+        .on('system.context', this.onContext.bind(this))
         .on('(pause resume cancel)', this.onPause.bind(this))
         .on('(state.add state.remove action.add action.remove)', this.onModify.bind(this));
     this.reset();
@@ -21,6 +22,7 @@ ObjectHelper.prototype =
     update:function()
     {
         this.onChange();
+        this.onContext();
         this.onPause();
         this.onModify();
     },
@@ -32,6 +34,7 @@ ObjectHelper.prototype =
             name     : '',
             index    : -1,
             paused   : false,
+            context  : {},
             is       : {},
             actions  : {},
             states   : {},
@@ -47,6 +50,11 @@ ObjectHelper.prototype =
         this.data.paused        = this.fsm.isPaused();
     },
 
+    onContext:function(event)
+    {
+        this.data.context       = this.fsm.context;
+    },
+
     onModify:function(event)
     {
         this.data.all.states    = this.fsm.transitions.getStates();
@@ -61,7 +69,10 @@ ObjectHelper.prototype =
         this.data.states        = toHash(fsm.transitions.getStatesFrom(fsm.state) || []);
         this.data.actions       = toHash(fsm.transitions.getActionsFrom(fsm.state) || []);
         this.data.is            = {};
-        this.data.is[fsm.state] = true;
+        fsm.transitions
+            .getParents(fsm.state)
+            .concat(fsm.state)
+            .forEach( state => this.data.is[state] = true );
     }
 
 };
@@ -0,0 +1,147 @@
+import { isFunction } from '../core/utils/utils';
+import { ConfigError } from '../core/objects/errors';
+
+/**
+ * The events which cause components using a StateMachine to re-render
+ *
+ * @type {string[]}
+ */
+var events =
+[
+    'change',
+    'system.context',
+    '(pause resume cancel)',
+    '(state.add state.remove action.add action.remove)'
+];
+
+/**
+ * External stores for each StateMachine, for useSyncExternalStore()
+ *
+ * @type {WeakMap}
+ */
+var stores = new WeakMap();
+
+/**
+ * Get the external store for a StateMachine, creating it on first use
+ *
+ * The store's version is incremented on every change, whether or not any component is subscribed yet,
+ * so React can detect changes made between a component rendering and subscribing
+ *
+ * @param   {StateMachine}  fsm
+ * @returns {Object}        An object with subscribe and getVersion functions
+ */
+function getStore (fsm)
+{
+    let store = stores.get(fsm);
+    if(!store)
+    {
+        let version     = 0;
+        let listeners   = [];
+        events.forEach( id => fsm.on(id, () =>
+        {
+            version++;
+            listeners.slice().forEach( listener => listener() );
+        }));
+        store =
+        {
+            subscribe: listener =>
+            {
+                listeners.push(listener);
+                return () =>
+                {
+                    let index = listeners.indexOf(listener);
+                    if(index > -1)
+                    {
+                        listeners.splice(index, 1);
+                    }
+                };
+            },
+            getVersion: () => version
+        };
+        stores.set(fsm, store);
+    }
+    return store;
+}
+
+/**
+ * Build the value returned by the useStateMachine() hook
+ *
+ * @param   {StateMachine}  fsm
+ * @returns {Object}
+ */
+function getValue (fsm)
+{
+    return {
+        fsm         : fsm,
+        state       : fsm.state,
+        context     : fsm.context,
+        isPaused    : fsm.isPaused(),
+        can         : (action, ...rest) => fsm.canDo(action, ...rest),
+        do          : (action, ...rest) => fsm.do(action, ...rest),
+        go          : (state, force) => fsm.go(state, force)
+    };
+}
+
+/**
+ * Setup React bindings
+ *
+ * React is passed in rather than imported, so the StateHelper bundle doesn't depend on it:
+ *
+ *     const { useStateMachine, StateMachineProvider } = StateHelper.react(React);
+ *
+ * @param   {Object}    React   The React library
+ * @returns {Object}            An object with useStateMachine and StateMachineProvider properties
+ */
+export default function setup (React)
+{
+    let Context = React.createContext(null);
+
+    /**
+     * Provides a StateMachine to descendant components' useStateMachine() hooks
+     *
+     * @param   {Object}    props   An object with fsm and children properties
+     */
+    function StateMachineProvider (props)
+    {
+        return React.createElement(Context.Provider, {value: props.fsm}, props.children);
+    }
+
+    /**
+     * Subscribes a component to a StateMachine, re-rendering it as the machine changes
+     *
+     * Requires React 18 or later, as the machine is subscribed to with useSyncExternalStore()
+     *
+     * @param   {StateMachine|Function}     [fsm]   A StateMachine, or a function to create one on first render;
+     *                                              defaults to the StateMachine from any StateMachineProvider
+     * @returns {Object}                            An object with fsm, state, context, isPaused, can, do and go properties
+     */
+    function useStateMachine (fsm)
+    {
+        // machine
+        let provided    = React.useContext(Context);
+        let ref         = React.useRef(null);
+        if(isFunction(fsm) && !ref.current)
+        {
+            ref.current = fsm();
+        }
+        let machine     = isFunction(fsm)
+            ? ref.current
+            : fsm || provided;
+        if(!machine)
+        {
+            throw new ConfigError('useStateMachine() requires a StateMachine, or a StateMachineProvider', {}, 'ERR_MISSING_MACHINE');
+        }
+
+        // re-render on changes
+        let store = getStore(machine);
+        React.useSyncExternalStore(store.subscribe, store.getVersion);
+
+        // return
+        return getValue(machine);
+    }
+
+    return {
+        useStateMachine,
+        StateMachineProvider
+    };
+}
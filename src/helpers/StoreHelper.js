@@ -0,0 +1,115 @@
+import { isDefined } from '../core/utils/utils';
+
+/**
+ * StoreHelper
+ *
+ * Exposes a StateMachine as a Redux / Flux-style store, so it can be consumed without bespoke glue:
+ *
+ * - getState() returns a serializable snapshot, which is only replaced when the machine changes
+ * - dispatch({type, payload}) runs the action, returning its Promise
+ * - subscribe(listener) calls the listener on each change, returning an unsubscribe function
+ *
+ * @param   {StateMachine}  fsm
+ */
+function StoreHelper (fsm)
+{
+    this.fsm        = fsm;
+    this.listeners  = [];
+    this.fsm
+        .on('change', this.update.bind(this))
+        .on('system.context', this.update.bind(this))
+        .on('(pause resume cancel)', this.update.bind(this))
+        .on('(state.add state.remove action.add action.remove)', this.update.bind(this));
+    this.snapshot   = getSnapshot(fsm);
+}
+
+StoreHelper.prototype =
+{
+    fsm         : null,
+
+    listeners   : null,
+
+    snapshot    : null,
+
+    /**
+     * Get the current snapshot, in the format {state, actions, paused, context}
+     *
+     * @returns {Object}
+     */
+    getState: function ()
+    {
+        return this.snapshot;
+    },
+
+    /**
+     * Run the action named by a Flux-style action's type, passing any payload as its parameter
+     *
+     * @param   {Object}    action      An object with type and optional payload properties
+     * @returns {Promise}               The Promise returned by fsm.do()
+     */
+    dispatch: function (action)
+    {
+        return isDefined(action.payload)
+            ? this.fsm.do(action.type, action.payload)
+            : this.fsm.do(action.type);
+    },
+
+    /**
+     * Add a listener to be called whenever the snapshot changes
+     *
+     * @param   {Function}  listener
+     * @returns {Function}              A function which removes the listener
+     */
+    subscribe: function (listener)
+    {
+        this.listeners.push(listener);
+        return () =>
+        {
+            let index = this.listeners.indexOf(listener);
+            if(index > -1)
+            {
+                this.listeners.splice(index, 1);
+            }
+        };
+    },
+
+    /**
+     * Replace the snapshot and notify listeners
+     */
+    update: function ()
+    {
+        this.snapshot = getSnapshot(this.fsm);
+        this.listeners.slice().forEach( listener => listener() );
+    }
+
+};
+
+/**
+ * Build a serializable snapshot of the StateMachine
+ *
+ * For parallel machines, state is a hash of region:state values, and actions includes those of all regions
+ *
+ * @param   {StateMachine}  fsm
+ * @returns {Object}
+ */
+function getSnapshot (fsm)
+{
+    let machines = fsm.regions
+        ? Object.keys(fsm.regions).map( name => fsm.regions[name] )
+        : [fsm];
+    let actions = machines.reduce( (actions, machine) =>
+    {
+        return actions.concat((machine.transitions.getActionsFrom(machine.state) || []).filter( action => actions.indexOf(action) === -1 ));
+    }, []);
+    return {
+        state       : fsm.regions ? Object.assign({}, fsm.state) : fsm.state,
+        actions     : actions,
+        paused      : fsm.isPaused(),
+        context     : fsm.context
+    };
+}
+
+export default function setup (fsm)
+{
+    return new StoreHelper(fsm);
+}
@@ -1,27 +1,97 @@
 /**
- * Setup relationship between VueRouter and StateHelper
+ * Get the Promise of the transition which a navigation to a state should run, if any
+ *
+ * - navigating to the previous or next state in the history (i.e. the browser back button) runs back() or forward()
+ * - navigating to another state runs the action which transitions to it, with any mapped params
+ * - otherwise, the navigation is aborted, unless the force option allows a forced jump
+ *
+ * @param   {StateMachine}  fsm
+ * @param   {Object}        to          The route being navigated to
+ * @param   {Object}        from        The route being navigated from
+ * @param   {Object}        options
+ * @returns {Promise|null}
+ */
+function navigate (fsm, to, from, options)
+{
+    let state = to.name;
+    if(fsm.canBack(options.force) && fsm.history.getBack().from === state)
+    {
+        return fsm.back(options.force);
+    }
+    if(fsm.canForward(options.force) && fsm.history.getForward().to === state)
+    {
+        return fsm.forward(options.force);
+    }
+    let action = fsm.transitions.getActionFor(fsm.state, state);
+    if(action)
+    {
+        return fsm.do(action, ...options.params(to, from));
+    }
+    return options.force
+        ? fsm.go(state, true)
+        : null;
+}
+
+/**
+ * Setup two-way relationship between VueRouter and StateHelper
+ *
+ * Route names are expected to match state names. Navigation runs the StateMachine's transitions (so handlers
+ * and guards are respected) and waits for them to end, aborting if the transition is cancelled or missing.
+ * State changes from elsewhere push the matching route
+ *
+ * Available options are:
+ *
+ * - params : a function (to, from) returning an array of params to pass to the action; defaults to none
+ * - force  : a boolean to jump to states with no transition, or back and forward regardless of transitions
  *
  * @param   {VueRouter}     router      The VueRouter instance
  * @param   {StateObject}   object      The StateObject instance
+ * @param   {Object}        [options]   An object with params and force properties
  */
-export default function setup (router, object)
+export default function setup (router, object, options = {})
 {
+    let fsm         = object.fsm;
+    let navigating  = false;
+    options         = Object.assign({ params: () => [], force: false }, options);
+
     function updateRoute()
     {
-        router.push('/' + object.fsm.state);
+        let route = router.currentRoute;
+        if(!navigating && (!route || route.name !== fsm.state))
+        {
+            router.push({name: fsm.state}, () => {}, () => {});
+        }
     }
 
     // update route when state updates
-    object.fsm.on('change', updateRoute);
+    fsm.on('change', updateRoute);
 
-    // update state when route updates
-    router.afterEach(function(route)
+    // update state when route updates, only allowing navigation if the transition completes
+    router.beforeEach(function(to, from, next)
     {
-        // directly set state so state machine event handlers are not triggered
-        object.fsm.state = route.name;
+        // routes which aren't states, or are the current state
+        if(!fsm.has(to.name) || to.name === fsm.state)
+        {
+            return next();
+        }
 
-        // manually update helper
-        object.update();
+        // transition (flagging navigation first, as synchronous transitions change state immediately)
+        navigating  = true;
+        let promise = navigate(fsm, to, from, options);
+        if(!promise)
+        {
+            navigating = false;
+            return next(false);
+        }
+        promise.then( () =>
+        {
+            navigating = false;
+            next();
+        }, () =>
+        {
+            navigating = false;
+            next(false);
+        });
     });
 
     // immediately update route
@@ -1,12 +1,16 @@
 import object from './ObjectHelper';
 import jQuery from'./jQueryHelper';
 import vueRouter from'./VueRouter';
+import store from './StoreHelper';
+import react from './ReactHelper';
 
 var StateHelper =
 {
     object,
     jQuery,
-    vueRouter
+    vueRouter,
+    store,
+    react
 };
 
 export default StateHelper;
@@ -113,6 +113,12 @@ describe('Testing parsing of event handler ids for:', function () {
             });
         });
 
+        describe('system.history', function () {
+            it("results in 'system.history'", function () {
+                test('system.history', 'system.history');
+            });
+        });
+
         describe('transition.pause', function () {
             it("results in 'transition.pause'", function () {
                 test('transition.pause', 'transition.pause');
@@ -265,4 +271,225 @@ describe('Testing parsing of event handler ids for:', function () {
 
     });
 
+    describe('combinations', function () {
+
+        function testPaths (id, paths)
+        {
+            chai.expect(fsm.handlers.parse(id).map(meta => meta.path).join(' ')).to.equal(paths);
+        }
+
+        describe('(a b)@(next back):start', function () {
+            it("results in 'state.a.next state.a.back state.b.next state.b.back'", function () {
+                testPaths('(a b)@(next back):start', 'state.a.next state.a.back state.b.next state.b.back');
+            });
+        });
+
+        describe('(a (b c)):leave', function () {
+            it("results in 'state.a.leave state.b.leave state.c.leave'", function () {
+                testPaths('(a (b c)):leave', 'state.a.leave state.b.leave state.c.leave');
+            });
+        });
+
+        describe('a:leave, @next|change', function () {
+            it("results in 'state.a.leave action.next.start system.change'", function () {
+                testPaths('a:leave, @next|change', 'state.a.leave action.next.start system.change');
+            });
+        });
+
+        describe('(next back):end', function () {
+            it("results in 'action.next.end action.back.end'", function () {
+                testPaths('(next back):end', 'action.next.end action.back.end');
+            });
+        });
+
+        describe('action.next.end', function () {
+            it("results in 'action.next.end'", function () {
+                testPaths('action.next.end', 'action.next.end');
+            });
+        });
+
+    });
+
+    describe('negation', function () {
+
+        function testNegation (id, path, exclude)
+        {
+            let metas = fsm.handlers.parse(id);
+            chai.expect(metas.length).to.equal(1);
+            chai.expect(metas[0].path).to.equal(path);
+            chai.expect(metas[0].target).to.equal('*');
+            chai.expect(metas[0].exclude).to.deep.equal(exclude);
+        }
+
+        describe('!a:enter', function () {
+            it("results in 'state.*.enter' excluding 'a'", function () {
+                testNegation('!a:enter', 'state.*.enter', ['a']);
+            });
+        });
+
+        describe('!(a b):leave', function () {
+            it("results in 'state.*.leave' excluding 'a' and 'b'", function () {
+                testNegation('!(a b):leave', 'state.*.leave', ['a', 'b']);
+            });
+        });
+
+        describe('!@next:end', function () {
+            it("results in 'action.*.end' excluding 'next'", function () {
+                testNegation('!@next:end', 'action.*.end', ['next']);
+            });
+        });
+
+        describe('!a@next', function () {
+            it("results in 'state.*.next' excluding 'a'", function () {
+                testNegation('!a@next', 'state.*.next', ['a']);
+            });
+        });
+
+    });
+
+    describe('patterns', function () {
+
+        function testPattern (id, path, sources)
+        {
+            let metas = fsm.handlers.parse(id);
+            chai.expect(metas.length).to.equal(1);
+            chai.expect(metas[0].path).to.equal(path);
+            chai.expect(metas[0].target).to.equal('*');
+            chai.expect(metas[0].match.map(rx => rx.source)).to.deep.equal(sources);
+        }
+
+        describe('step*:enter', function () {
+            it("results in 'state.*.enter' matching /^step.*$/", function () {
+                testPattern('step*:enter', 'state.*.enter', ['^step.*$']);
+            });
+        });
+
+        describe('/^admin_/:leave', function () {
+            it("results in 'state.*.leave' matching /^admin_/", function () {
+                testPattern('/^admin_/:leave', 'state.*.leave', ['^admin_']);
+            });
+        });
+
+        describe('@save*:end', function () {
+            it("results in 'action.*.end' matching /^save.*$/", function () {
+                testPattern('@save*:end', 'action.*.end', ['^save.*$']);
+            });
+        });
+
+        describe('(step* admin_*)@next', function () {
+            it("results in 'state.*.next' matching /^step.*$/ and /^admin_.*$/", function () {
+                testPattern('(step* admin_*)@next', 'state.*.next', ['^step.*$', '^admin_.*$']);
+            });
+        });
+
+        describe('checkout.*:enter', function () {
+            it("results in 'state.*.enter' matching /^checkout\\..*$/", function () {
+                testPattern('checkout.*:enter', 'state.*.enter', ['^checkout\\..*$']);
+            });
+        });
+
+    });
+
+    describe('errors', function () {
+
+        function testError (id, position)
+        {
+            let results = fsm.handlers.parse(id);
+            chai.expect(results[0]).to.be.an.instanceof(StateMachine.ParseError);
+            chai.expect(results[0].details.position).to.equal(position);
+        }
+
+        describe('a:foo', function () {
+            it('reports the position of the type', function () {
+                testError('a:foo', 2);
+            });
+        });
+
+        describe('(a b', function () {
+            it('reports the position of the unclosed group', function () {
+                testError('(a b', 0);
+            });
+        });
+
+        describe('a, b)', function () {
+            it('reports the position of the unexpected bracket', function () {
+                testError('a, b)', 4);
+            });
+        });
+
+        describe('@next:$', function () {
+            it('reports the position of the unrecognised character', function () {
+                testError('@next:$', 6);
+            });
+        });
+
+        describe('!change', function () {
+            it('reports the position of the negation', function () {
+                testError('!change', 0);
+            });
+        });
+
+        describe('a@save*', function () {
+            it('reports the position of globs which are not allowed', function () {
+                testError('a@save*', 2);
+            });
+        });
+
+        describe('a:enter, /(/:leave', function () {
+            it('reports the position of invalid regular expressions', function () {
+                let results = fsm.handlers.parse('a:enter, /(/:leave');
+                chai.expect(results[1]).to.be.an.instanceof(StateMachine.ParseError);
+                chai.expect(results[1].details.position).to.equal(9);
+            });
+        });
+
+    });
+
+    describe('tags', function () {
+
+        function testTag (id, path, tag)
+        {
+            let metas = fsm.handlers.parse(id);
+            chai.expect(metas.map(meta => meta.path).join(' ')).to.equal(path);
+            chai.expect(metas.map(meta => meta.tag).join(' ')).to.equal(tag);
+        }
+
+        describe('change.analytics', function () {
+            it("results in 'system.change' tagged 'analytics'", function () {
+                testTag('change.analytics', 'system.change', 'analytics');
+            });
+        });
+
+        describe('(change pause).analytics', function () {
+            it("results in 'system.change transition.pause' tagged 'analytics'", function () {
+                testTag('(change pause).analytics', 'system.change transition.pause', 'analytics analytics');
+            });
+        });
+
+        describe('a:enter.analytics', function () {
+            it("results in 'state.a.enter' tagged 'analytics'", function () {
+                testTag('a:enter.analytics', 'state.a.enter', 'analytics');
+            });
+        });
+
+        describe('@next.analytics', function () {
+            it("results in 'action.next.start' tagged 'analytics'", function () {
+                testTag('@next.analytics', 'action.next.start', 'analytics');
+            });
+        });
+
+        describe('.analytics', function () {
+            it("results in an empty path tagged 'analytics'", function () {
+                testTag('.analytics', '', 'analytics');
+            });
+        });
+
+        describe('a.b', function () {
+            it("results in the nested state 'state.a.b.enter', untagged", function () {
+                testTag('a.b', 'state.a.b.enter', '');
+            });
+        });
+
+    });
+
 });
@@ -0,0 +1,311 @@
+import chai from 'chai';
+import StateMachine from '../src/StateMachine';
+import StateHelper from '../src/helpers';
+
+chai.expect();
+
+const expect = chai.expect;
+
+function create ()
+{
+    return new StateMachine({
+        errors: 0,
+        transitions: [
+            'next : a > b > c',
+            'back : a < b < c'
+        ],
+        context: {count: 0}
+    });
+}
+
+describe('Testing helpers:', function () {
+
+    describe('store', function () {
+
+        it('returns a serializable snapshot from getState()', function () {
+            let store = StateHelper.store(create());
+            expect(store.getState()).to.deep.equal({state: 'a', actions: ['next'], paused: false, context: {count: 0}});
+            expect(JSON.parse(JSON.stringify(store.getState()))).to.deep.equal(store.getState());
+        });
+
+        it('returns the same snapshot until the machine changes', function () {
+            let store = StateHelper.store(create());
+            let snapshot = store.getState();
+            expect(store.getState()).to.equal(snapshot);
+            return store.dispatch({type: 'next'}).then(() => {
+                expect(store.getState()).to.not.equal(snapshot);
+                expect(store.getState().state).to.equal('b');
+                expect(store.getState().actions).to.deep.equal(['next', 'back']);
+            });
+        });
+
+        it('maps dispatched actions and payloads to do()', function () {
+            let fsm = create();
+            let store = StateHelper.store(fsm);
+            let params = [];
+            fsm.on('@next', (event, fsm, ...rest) => { params = rest; });
+            return store.dispatch({type: 'next', payload: {id: 1}}).then(state => {
+                expect(state).to.equal('b');
+                expect(params).to.deep.equal([{id: 1}]);
+            });
+        });
+
+        it('notifies subscribers of changes and pauses, until unsubscribed', function () {
+            let fsm = create();
+            let store = StateHelper.store(fsm);
+            let states = [];
+            let unsubscribe = store.subscribe( () => states.push(store.getState().paused ? 'paused' : store.getState().state) );
+            fsm.on('a:leave', () => true);
+            fsm.do('next');
+            fsm.resume();
+            unsubscribe();
+            return fsm.do('next').then(() => expect(states).to.deep.equal(['paused', 'a', 'b']));
+        });
+
+        it('notifies subscribers when states and actions are added or removed', function () {
+            let fsm = create();
+            let store = StateHelper.store(fsm);
+            let actions = [];
+            store.subscribe( () => actions.push(store.getState().actions) );
+            fsm.add('jump', 'a', 'c');
+            fsm.remove('c');
+            expect(actions.length).to.be.above(1);
+            expect(actions[0]).to.deep.equal(['next', 'jump']);
+            expect(store.getState().actions).to.deep.equal(['next']);
+        });
+
+    });
+
+    describe('vueRouter', function () {
+
+        // a minimal router with VueRouter's beforeEach(), push() and currentRoute, plus a browser-like back()
+        function createRouter ()
+        {
+            let guards = [];
+            let router = {
+                currentRoute: null,
+                stack: [],
+                beforeEach: guard => guards.push(guard),
+                navigate (to, done)
+                {
+                    let from = router.currentRoute || {name: null};
+                    guards[0](to, from, value => {
+                        if(value !== false)
+                        {
+                            router.currentRoute = to;
+                            done();
+                        }
+                    });
+                },
+                push (location)
+                {
+                    let to = Object.assign({params: {}, query: {}}, location);
+                    router.navigate(to, () => router.stack.push(to));
+                },
+                back ()
+                {
+                    router.navigate(router.stack[router.stack.length - 2], () => router.stack.pop());
+                }
+            };
+            return router;
+        }
+
+        function setup (options)
+        {
+            let fsm = create();
+            let router = createRouter();
+            StateHelper.vueRouter(router, StateHelper.object(fsm), options);
+            return {fsm, router};
+        }
+
+        function wait ()
+        {
+            return new Promise( resolve => setTimeout(resolve, 0) );
+        }
+
+        it('pushes the current state as a route', function () {
+            let {router} = setup();
+            expect(router.currentRoute.name).to.equal('a');
+        });
+
+        it('runs transitions when navigating, respecting handlers', function () {
+            let {fsm, router} = setup();
+            let calls = [];
+            fsm.on('a:leave', () => calls.push('leave'));
+            router.push({name: 'b'});
+            return wait().then(() => {
+                expect(calls).to.deep.equal(['leave']);
+                expect(fsm.state).to.equal('b');
+                expect(router.currentRoute.name).to.equal('b');
+                expect(router.stack.map( route => route.name )).to.deep.equal(['a', 'b']);
+            });
+        });
+
+        it('aborts navigation when the transition is cancelled or missing', function () {
+            let {fsm, router} = setup();
+            router.push({name: 'c'});
+            expect(router.currentRoute.name).to.equal('a');
+            fsm.on('a:leave', () => false);
+            router.push({name: 'b'});
+            return wait().then(() => {
+                expect(fsm.state).to.equal('a');
+                expect(router.currentRoute.name).to.equal('a');
+            });
+        });
+
+        it('jumps to states with no transition when forced', function () {
+            let {fsm, router} = setup({force: true});
+            router.push({name: 'c'});
+            return wait().then(() => expect(fsm.state).to.equal('c'));
+        });
+
+        it('maps route params and query to action params', function () {
+            let {fsm, router} = setup({params: to => [to.params.id, to.query.tab]});
+            let params = [];
+            fsm.on('@next', (event, fsm, ...rest) => { params = rest; });
+            router.push({name: 'b', params: {id: 1}, query: {tab: 'info'}});
+            return wait().then(() => expect(params).to.deep.equal([1, 'info']));
+        });
+
+        it('goes back in the history when the back button is used', function () {
+            let {fsm, router} = setup();
+            router.push({name: 'b'});
+            return wait()
+                .then(() => {
+                    router.back();
+                    return wait();
+                })
+                .then(() => {
+                    expect(fsm.state).to.equal('a');
+                    expect(fsm.canForward()).to.equal(true);
+                    expect(router.currentRoute.name).to.equal('a');
+                });
+        });
+
+        it('pushes routes for state changes from elsewhere', function () {
+            let {fsm, router} = setup();
+            return fsm.do('next').then(() => expect(router.currentRoute.name).to.equal('b'));
+        });
+
+    });
+
+    describe('react', function () {
+
+        let React, ReactDOM, act, JSDOM, dom, hooks;
+
+        // react-dom detects the DOM when it is first loaded, so set up jsdom before requiring it
+        before(function () {
+            JSDOM                           = require('jsdom').JSDOM;
+            dom                             = new JSDOM('<!doctype html><html><body></body></html>');
+            global.window                   = dom.window;
+            global.document                 = dom.window.document;
+            global.navigator                = dom.window.navigator;
+            global.IS_REACT_ACT_ENVIRONMENT = true;
+            React                           = require('react');
+            ReactDOM                        = require('react-dom/client');
+            act                             = require('react-dom/test-utils').act;
+            hooks                           = StateHelper.react(React);
+        });
+
+        after(function () {
+            delete global.window;
+            delete global.document;
+            delete global.navigator;
+            delete global.IS_REACT_ACT_ENVIRONMENT;
+            dom.window.close();
+        });
+
+        function render (element)
+        {
+            let container = document.createElement('div');
+            let root = ReactDOM.createRoot(container);
+            act( () => root.render(element) );
+            return container;
+        }
+
+        function Status (props)
+        {
+            let machine = hooks.useStateMachine(props.fsm);
+            return React.createElement('p', null, [
+                machine.state,
+                machine.isPaused ? 'paused' : 'running',
+                machine.can(props.action || 'next') ? 'can' : 'cannot'
+            ].join(' '));
+        }
+
+        it('renders the state, and re-renders on change', function () {
+            let fsm = create();
+            let container = render(React.createElement(Status, {fsm}));
+            expect(container.textContent).to.equal('a running can');
+            act( () => { fsm.do('next'); } );
+            expect(container.textContent).to.equal('b running can');
+            act( () => { fsm.do('next'); } );
+            expect(container.textContent).to.equal('c running cannot');
+        });
+
+        it('re-renders on changes made before it subscribes', function () {
+            let fsm = create();
+            function Trigger ()
+            {
+                React.useLayoutEffect( () => { fsm.do('next'); }, [] );
+                return null;
+            }
+            let container = render(React.createElement('div', null, React.createElement(Status, {fsm}), React.createElement(Trigger)));
+            expect(container.textContent).to.equal('b running can');
+        });
+
+        it('re-renders on pause and resume', function () {
+            let fsm = create();
+            fsm.on('a:leave', () => true);
+            let container = render(React.createElement(Status, {fsm}));
+            act( () => { fsm.do('next'); } );
+            expect(container.textContent).to.equal('a paused can');
+            act( () => { fsm.resume(); } );
+            expect(container.textContent).to.equal('b running can');
+        });
+
+        it('re-renders when actions are added', function () {
+            let fsm = create();
+            let container = render(React.createElement(Status, {fsm, action: 'restart'}));
+            act( () => { fsm.go('c', true); } );
+            expect(container.textContent).to.equal('c running cannot');
+            act( () => { fsm.add('restart', 'c', 'a'); } );
+            expect(container.textContent).to.equal('c running can');
+        });
+
+        it('creates a machine from a factory function once', function () {
+            let created = 0;
+            let machine = null;
+            function Counter ()
+            {
+                machine = hooks.useStateMachine( () => { created++; return create(); } );
+                return React.createElement('button', {onClick: () => machine.do('next')}, machine.state);
+            }
+            let container = render(React.createElement(Counter));
+            act( () => { container.querySelector('button').dispatchEvent(new window.MouseEvent('click', {bubbles: true})); } );
+            expect(container.textContent).to.equal('b');
+            expect(created).to.equal(1);
+        });
+
+        it('throws a ConfigError without a machine or provider', function () {
+            let error = console.error;
+            console.error = () => {};
+            try {
+                expect(() => render(React.createElement(Status))).to.throw(StateMachine.ConfigError, /requires a StateMachine/);
+            }
+            finally {
+                console.error = error;
+            }
+        });
+
+        it('uses the machine from a StateMachineProvider', function () {
+            let fsm = create();
+            let container = render(React.createElement(hooks.StateMachineProvider, {fsm}, React.createElement(Status)));
+            expect(container.textContent).to.equal('a running can');
+            act( () => { fsm.do('next'); } );
+            expect(container.textContent).to.equal('b running can');
+        });
+
+    });
+
+});
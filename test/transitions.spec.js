@@ -0,0 +1,1655 @@
+import chai from 'chai';
+import StateMachine from '../src/StateMachine';
+
+chai.expect();
+
+const expect = chai.expect;
+
+function create (handlers)
+{
+    return new StateMachine({
+        errors: 0,
+        transitions: [
+            'next : a > b > c',
+            'back : a < b < c'
+        ],
+        handlers: handlers || {}
+    });
+}
+
+describe('Testing transitions:', function () {
+
+    describe('do()', function () {
+
+        it('resolves with the new state', function () {
+            let fsm = create();
+            return fsm.do('next').then(state => {
+                expect(state).to.equal('b');
+                expect(fsm.state).to.equal('b');
+            });
+        });
+
+        it('updates the state synchronously when handlers are synchronous', function () {
+            let fsm = create();
+            fsm.do('next');
+            expect(fsm.state).to.equal('b');
+        });
+
+        it('rejects when the action is unavailable', function () {
+            let fsm = create();
+            return fsm.do('back').then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error).to.be.an.instanceof(Error);
+                expect(fsm.state).to.equal('a');
+            });
+        });
+
+        it('rejects when a handler cancels the transition', function () {
+            let fsm = create({ 'a:leave': () => false });
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, () => {
+                expect(fsm.state).to.equal('a');
+                expect(fsm.isTransitioning()).to.equal(false);
+            });
+        });
+
+        it('resolves when a paused transition is resumed', function () {
+            let fsm = create({ 'a:leave': () => true });
+            let promise = fsm.do('next');
+            expect(fsm.isPaused()).to.equal(true);
+            fsm.resume();
+            return promise.then(state => expect(state).to.equal('b'));
+        });
+
+        it('rejects with the error when a handler throws, leaving the machine usable', function () {
+            let error = new Error('invalid');
+            let fsm = create({ 'b:enter': () => { throw error; } });
+            let promise = fsm.do('next');
+            expect(fsm.state).to.equal('a');
+            expect(fsm.isTransitioning()).to.equal(false);
+            return promise.then(() => {
+                throw new Error('should not resolve');
+            }, reason => {
+                expect(reason).to.equal(error);
+                fsm.off('b:enter');
+                return fsm.do('next');
+            }).then(state => expect(state).to.equal('b'));
+        });
+
+        it('rejects, and runs queued actions, when a change handler throws', function () {
+            let error = new Error('failed');
+            let fsm = new StateMachine({
+                errors: 0,
+                queue: 'queue',
+                transitions: ['next : a > b > c'],
+                handlers: {
+                    'b:enter': () => Promise.resolve(),
+                    'change': event => { if(event.value === 'b') throw error }
+                }
+            });
+            let first = fsm.do('next');
+            let second = fsm.do('next');
+            return first.then(() => {
+                throw new Error('should not resolve');
+            }, reason => {
+                expect(reason).to.equal(error);
+                return second;
+            }).then(state => expect(state).to.equal('c'));
+        });
+
+        it('rejects when a guard or function "to" state cannot be resolved', function () {
+            let fsm = new StateMachine({
+                errors: 0,
+                transitions: [
+                    'next : a > b [isMissing]',
+                    {action: 'skip', from: 'a', to: () => 'x'}
+                ]
+            });
+            return Promise.all([fsm.do('next'), fsm.do('skip')].map(promise => promise.then(() => {
+                throw new Error('should not resolve');
+            }, error => error.code))).then(codes => {
+                expect(codes).to.deep.equal(['ERR_UNKNOWN_METHOD', 'ERR_STATE_NOT_FOUND']);
+                expect(fsm.isTransitioning()).to.equal(false);
+            });
+        });
+
+    });
+
+    describe('handlers returning promises', function () {
+
+        it('pause the transition until resolved', function () {
+            let fsm = create({ 'a:leave': () => Promise.resolve() });
+            let promise = fsm.do('next');
+            expect(fsm.isPaused()).to.equal(true);
+            return promise.then(state => {
+                expect(state).to.equal('b');
+                expect(fsm.isPaused()).to.equal(false);
+            });
+        });
+
+        it('cancel the transition when resolving to false', function () {
+            let fsm = create({ 'a:leave': () => Promise.resolve(false) });
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, () => expect(fsm.state).to.equal('a'));
+        });
+
+        it('cancel the transition and reject with the same error when rejected', function () {
+            let error = new Error('invalid');
+            let fsm = create({ 'a:leave': () => Promise.reject(error) });
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, reason => {
+                expect(reason).to.equal(error);
+                expect(fsm.state).to.equal('a');
+            });
+        });
+
+    });
+
+    describe('guards', function () {
+
+        function createGuarded (valid)
+        {
+            return new StateMachine({
+                errors: 0,
+                transitions: [
+                    'next : a > b [isValid]',
+                    {action: 'skip', from: 'a', to: 'c', guard: () => valid},
+                    'back : a < b'
+                ],
+                methods: {
+                    isValid: () => valid
+                }
+            });
+        }
+
+        it('parse from shorthand', function () {
+            let fsm = createGuarded(true);
+            expect(fsm.transitions.getGuardFor('a', 'next')).to.equal('isValid');
+            expect(fsm.transitions.getGuardFor('b', 'back')).to.equal(undefined);
+        });
+
+        it('allow actions when passing', function () {
+            let fsm = createGuarded(true);
+            expect(fsm.canDo('next')).to.equal(true);
+            expect(fsm.canGo('c')).to.equal(true);
+            expect(fsm.transitions.getActionsFrom('a')).to.deep.equal(['next', 'skip']);
+        });
+
+        it('deny actions when failing', function () {
+            let fsm = createGuarded(false);
+            expect(fsm.canDo('next')).to.equal(false);
+            expect(fsm.canGo('c')).to.equal(false);
+            expect(fsm.transitions.getActionsFrom('a')).to.deep.equal([]);
+        });
+
+        it('prevent do() from creating a transition', function () {
+            let fsm = createGuarded(false);
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, () => {
+                expect(fsm.state).to.equal('a');
+                expect(fsm.isTransitioning()).to.equal(false);
+            });
+        });
+
+        it('receive parameters passed to do()', function () {
+            let fsm = new StateMachine({
+                transitions: [
+                    {action: 'next', from: 'a', to: 'b', guard: (tx, fsm, value) => value > 1}
+                ]
+            });
+            expect(fsm.canDo('next', 1)).to.equal(false);
+            return fsm.do('next', 2).then(state => expect(state).to.equal('b'));
+        });
+
+        it('reject go(), and deny actions, when throwing or unknown', function () {
+            let fsm = new StateMachine({
+                errors: 0,
+                transitions: [
+                    'next : a > b [isMissing]',
+                    {action: 'skip', from: 'a', to: 'c', guard: () => { throw new Error('failed') }}
+                ]
+            });
+            expect(fsm.canDo('next')).to.equal(false);
+            expect(fsm.canDo('skip')).to.equal(false);
+            expect(fsm.canGo('b')).to.equal(false);
+            let promises = [fsm.go('b'), fsm.go('c')];
+            return Promise.all(promises.map(promise => promise.then(() => {
+                throw new Error('should not resolve');
+            }, error => error.message))).then(messages => {
+                expect(messages[0]).to.contain('isMissing');
+                expect(messages[1]).to.equal('failed');
+                expect(fsm.state).to.equal('a');
+            });
+        });
+
+    });
+
+    describe('nested states', function () {
+
+        let log;
+
+        function createNested ()
+        {
+            log = [];
+            return new StateMachine({
+                transitions: [
+                    'checkout : cart > checkout.shipping',
+                    'next     :        checkout.shipping > checkout.payment > done',
+                    'cancel   : cart <                     checkout'
+                ],
+                handlers: {
+                    'checkout:enter'            : () => log.push('checkout:enter'),
+                    'checkout:leave'            : () => log.push('checkout:leave'),
+                    'checkout.shipping:enter'   : () => log.push('checkout.shipping:enter'),
+                    'checkout.payment:leave'    : () => log.push('checkout.payment:leave')
+                }
+            });
+        }
+
+        it('include parents in the list of states', function () {
+            let fsm = createNested();
+            expect(fsm.transitions.getStates()).to.deep.equal(['cart', 'checkout', 'checkout.shipping', 'checkout.payment', 'done']);
+            expect(fsm.transitions.isCompound('checkout')).to.equal(true);
+        });
+
+        it('start in the first declared state, rather than its parent', function () {
+            let fsm = new StateMachine({
+                transitions: [
+                    'next : checkout.shipping > checkout.payment'
+                ]
+            });
+            expect(fsm.state).to.equal('checkout.shipping');
+            expect(fsm.canDo('next')).to.equal(true);
+            expect(fsm.transitions.toMermaid().split('\n')).to.contain('    [*] --> __state1');
+        });
+
+        it('inherit actions from parents', function () {
+            let fsm = createNested();
+            fsm.do('checkout');
+            expect(fsm.transitions.getActionsFrom(fsm.state)).to.deep.equal(['next', 'cancel']);
+            expect(fsm.canGo('cart')).to.equal(true);
+        });
+
+        it('are tested against parents by is()', function () {
+            let fsm = createNested();
+            fsm.do('checkout');
+            expect(fsm.is('checkout')).to.equal(true);
+            expect(fsm.is('checkout.shipping')).to.equal(true);
+            expect(fsm.is('checkout.payment')).to.equal(false);
+        });
+
+        it('enter parents only from outside', function () {
+            let fsm = createNested();
+            fsm.do('checkout');
+            expect(log).to.deep.equal(['checkout:enter', 'checkout.shipping:enter']);
+            log = [];
+            fsm.do('next');
+            expect(log).to.deep.equal([]);
+        });
+
+        it('leave parents only to outside', function () {
+            let fsm = createNested();
+            fsm.do('checkout');
+            fsm.do('next');
+            log = [];
+            fsm.do('cancel');
+            expect(fsm.state).to.equal('cart');
+            expect(log).to.deep.equal(['checkout.payment:leave', 'checkout:leave']);
+        });
+
+    });
+
+    describe('parallel regions', function () {
+
+        let changes;
+
+        function createParallel ()
+        {
+            changes = [];
+            return new StateMachine({
+                regions: {
+                    network: {
+                        transitions: [
+                            'disconnect : online > offline',
+                            'connect    : online < offline',
+                            'reset      : offline > online'
+                        ]
+                    },
+                    editor: {
+                        transitions: [
+                            'edit   : view > edit',
+                            'save   : view < edit',
+                            'reset  : edit > view'
+                        ]
+                    }
+                },
+                handlers: {
+                    change: event => changes.push(event.region)
+                }
+            });
+        }
+
+        it('expose a snapshot of region states', function () {
+            let fsm = createParallel();
+            expect(fsm.state).to.deep.equal({network: 'online', editor: 'view'});
+            expect(changes).to.deep.equal(['network', 'editor']);
+        });
+
+        it('track region states independently', function () {
+            let fsm = createParallel();
+            changes = [];
+            return fsm.do('edit').then(state => {
+                expect(state).to.deep.equal({network: 'online', editor: 'edit'});
+                expect(fsm.is('edit')).to.equal(true);
+                expect(fsm.is('online')).to.equal(true);
+                expect(changes).to.deep.equal(['editor']);
+            });
+        });
+
+        it('dispatch actions to every region that can handle them', function () {
+            let fsm = createParallel();
+            fsm.do('disconnect');
+            fsm.do('edit');
+            changes = [];
+            return fsm.do('reset').then(state => {
+                expect(state).to.deep.equal({network: 'online', editor: 'view'});
+                expect(changes).to.deep.equal(['network', 'editor']);
+            });
+        });
+
+        it('route state handlers to the region with that state', function () {
+            let fsm = createParallel();
+            let called = false;
+            fsm.on('offline', () => called = true);
+            expect(fsm.regions.network.handlers.get('state.offline.enter')).to.have.length(1);
+            expect(fsm.regions.editor.handlers.get('state.offline.enter')).to.equal(undefined);
+            fsm.do('disconnect');
+            expect(called).to.equal(true);
+        });
+
+    });
+
+    describe('history', function () {
+
+        it('records completed transitions', function () {
+            let fsm = create();
+            fsm.do('next', 1);
+            fsm.do('next');
+            expect(fsm.history.entries).to.deep.equal([
+                {action: 'next', from: 'a', to: 'b', params: [1]},
+                {action: 'next', from: 'b', to: 'c', params: []}
+            ]);
+            expect(fsm.history.index).to.equal(2);
+        });
+
+        it('is limited by the history option', function () {
+            let fsm = new StateMachine({ history: 1, transitions: ['next : a > b > c'] });
+            fsm.do('next');
+            fsm.do('next');
+            expect(fsm.history.entries).to.have.length(1);
+            expect(fsm.history.entries[0].to).to.equal('c');
+        });
+
+        it('goes back via an action to the previous state', function () {
+            let fsm = create();
+            fsm.do('next');
+            expect(fsm.canBack()).to.equal(true);
+            return fsm.back().then(state => {
+                expect(state).to.equal('a');
+                expect(fsm.history.index).to.equal(0);
+                expect(fsm.history.entries).to.have.length(1);
+            });
+        });
+
+        it('goes back by force when there is no action to the previous state', function () {
+            let fsm = new StateMachine({ transitions: ['next : a > b'] });
+            fsm.do('next');
+            expect(fsm.canBack()).to.equal(false);
+            expect(fsm.canBack(true)).to.equal(true);
+            return fsm.back(true).then(state => expect(state).to.equal('a'));
+        });
+
+        it('goes forward by re-running the original action', function () {
+            let fsm = create();
+            fsm.do('next');
+            fsm.back();
+            expect(fsm.canForward()).to.equal(true);
+            return fsm.forward().then(state => {
+                expect(state).to.equal('b');
+                expect(fsm.canForward()).to.equal(false);
+            });
+        });
+
+        it('queues moves issued during a transition, so the original transition completes', function () {
+            let fsm = create();
+            let moved;
+            fsm.on('c:enter', () => { moved = fsm.back(); });
+            return fsm.do('next').then(() => fsm.do('next')).then(state => {
+                expect(state).to.equal('c');
+                return moved;
+            }).then(state => {
+                expect(state).to.equal('b');
+                expect(fsm.history.index).to.equal(1);
+            });
+        });
+
+        it('lets plugins block moves', function () {
+            let fsm = create();
+            fsm.use({ beforeAction: action => action !== 'back' });
+            fsm.do('next');
+            return fsm.back().then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error.code).to.equal('ERR_BLOCKED');
+                expect(fsm.state).to.equal('b');
+            });
+        });
+
+        it('dispatches history events', function () {
+            let events = 0;
+            let fsm = create({ 'system.history': () => events++ });
+            fsm.do('next');
+            fsm.back();
+            expect(events).to.equal(2);
+        });
+
+        it('leaves handlers for states named history or context as state handlers', function () {
+            let states = [];
+            let fsm = new StateMachine({
+                transitions: ['next : intro > history > context'],
+                handlers: {
+                    history: event => states.push(event.to),
+                    context: event => states.push(event.to)
+                }
+            });
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => expect(states).to.deep.equal(['history', 'context']));
+        });
+
+    });
+
+    describe('serialization', function () {
+
+        it('exports the state and transitions', function () {
+            let fsm = create();
+            fsm.add('skip', 'a', 'c');
+            fsm.do('next');
+            let data = JSON.parse(JSON.stringify(fsm));
+            expect(data.state).to.equal('b');
+            expect(data.transition).to.equal(null);
+            expect(data.transitions).to.deep.include.members([{action: 'skip', from: 'a', to: 'c'}]);
+        });
+
+        it('restores runtime transitions without dispatching events', function () {
+            let fsm = create();
+            fsm.add('skip', 'a', 'c');
+            fsm.do('next');
+            let events = 0;
+            let copy = StateMachine.fromJSON(JSON.stringify(fsm), {
+                handlers: {
+                    '(start change)': () => events++
+                }
+            });
+            expect(copy.state).to.equal('b');
+            expect(copy.transitions.hasTransition('skip', 'a', 'c')).to.equal(true);
+            expect(events).to.equal(0);
+        });
+
+        it('restores removed states as removed, keeping function transitions from the options', function () {
+            let options = {
+                transitions: [
+                    'next : a > b > c',
+                    {action: 'jump', from: 'a', to: () => 'c'}
+                ]
+            };
+            let fsm = new StateMachine(options);
+            fsm.remove('b');
+            let copy = StateMachine.fromJSON(JSON.stringify(fsm), options);
+            expect(copy.has('b')).to.equal(false);
+            expect(copy.transitions.getActionsFrom('a')).to.deep.equal(['jump']);
+        });
+
+        it('restores a paused transition with its remaining handlers', function () {
+            let log = [];
+            let options = {
+                transitions: ['next : a > b'],
+                handlers: {
+                    'a:leave': () => { log.push('leave'); return true; },
+                    'b:enter': () => log.push('enter')
+                }
+            };
+            let fsm = new StateMachine(options);
+            fsm.do('next', 1);
+            let data = fsm.toJSON();
+            expect(data.transition).to.deep.equal({action: 'next', from: 'a', to: 'b', params: [1], paused: true, remaining: 1});
+
+            log = [];
+            let copy = StateMachine.fromJSON(data, options);
+            expect(copy.isPaused()).to.equal(true);
+            copy.resume();
+            expect(copy.state).to.equal('b');
+            expect(log).to.deep.equal(['enter']);
+        });
+
+    });
+
+    describe('go()', function () {
+
+        it('resolves with the new state', function () {
+            let fsm = create();
+            return fsm.go('b').then(state => expect(state).to.equal('b'));
+        });
+
+        it('resolves with the new state when forced', function () {
+            let fsm = create();
+            return fsm.go('c', true).then(state => expect(state).to.equal('c'));
+        });
+
+        it('rejects when no transition exists', function () {
+            let fsm = create();
+            return fsm.go('c').then(() => {
+                throw new Error('should not resolve');
+            }, () => expect(fsm.state).to.equal('a'));
+        });
+
+    });
+
+    describe('diagrams', function () {
+
+        function createDiagram ()
+        {
+            return new StateMachine({
+                errors: 0,
+                initial: 'a',
+                final: 'c',
+                transitions: [
+                    'next : a > b > c',
+                    'reset : * > a',
+                    {action: 'jump', from: 'b', to: () => 'a'}
+                ]
+            });
+        }
+
+        it('exports DOT with initial, final and wildcard nodes', function () {
+            let dot = createDiagram().transitions.toDot();
+            expect(dot).to.contain('"__initial" -> "a";');
+            expect(dot).to.contain('"c" [peripheries=2];');
+            expect(dot).to.contain('"a" -> "b" [label="next"];');
+            expect(dot).to.contain('"*" -> "a" [label="reset"];');
+        });
+
+        it('exports function targets as dynamic edges', function () {
+            let dot = createDiagram().transitions.toDot();
+            expect(dot).to.match(/"b" -> "__dynamic\d+" \[label="jump", style=dashed\];/);
+        });
+
+        it('exports Mermaid with expanded wildcards', function () {
+            let lines = createDiagram().transitions.toMermaid({wildcards: 'expand'}).split('\n');
+            expect(lines[0]).to.equal('stateDiagram-v2');
+            expect(lines).to.contain('    [*] --> a');
+            expect(lines).to.contain('    c --> [*]');
+            expect(lines).to.contain('    b --> a : reset');
+            expect(lines).to.contain('    c --> a : reset');
+            expect(lines).not.to.contain('    a --> a : reset');
+        });
+
+        it('exports Mermaid with distinct ids for states which differ only by punctuation', function () {
+            let fsm = new StateMachine({
+                transitions: ['next : checkout.shipping > checkout_shipping > __any']
+            });
+            let lines = fsm.transitions.toMermaid().split('\n');
+            expect(lines).to.contain('    state "checkout.shipping" as __state1');
+            expect(lines).to.contain('    state "__any" as __state3');
+            expect(lines).to.contain('    __state1 --> checkout_shipping : next');
+            expect(lines).to.contain('    checkout_shipping --> __state3 : next');
+        });
+
+    });
+
+    describe('validation', function () {
+
+        function getCodes (options)
+        {
+            return StateMachine.validate(options).map(diagnostic => diagnostic.code);
+        }
+
+        it('returns no diagnostics for a valid machine', function () {
+            expect(StateMachine.validate({transitions: ['next : a > b > c', 'back : a < b < c'], final: 'c'})).to.deep.equal([]);
+        });
+
+        it('reports conflicting and duplicate transitions', function () {
+            let codes = getCodes({transitions: ['next : a > b', 'next : a > c', 'back : b > a', 'back : b > a'], final: 'c'});
+            expect(codes).to.contain('ERR_CONFLICTING_TRANSITION');
+            expect(codes).to.contain('ERR_DUPLICATE_TRANSITION');
+        });
+
+        it('reports invalid shorthand', function () {
+            expect(getCodes({transitions: ['next : a > b', 'next a b'], final: 'b'})).to.deep.equal(['ERR_PARSE']);
+        });
+
+        it('reports unreachable states and actions, and dead ends', function () {
+            let diagnostics = StateMachine.validate({transitions: ['next : a > b', 'jump : x > y'], final: 'b'});
+            let states = diagnostics.filter(diagnostic => diagnostic.code === 'ERR_UNREACHABLE_STATE').map(diagnostic => diagnostic.state);
+            expect(states).to.deep.equal(['x', 'y']);
+            expect(diagnostics.filter(diagnostic => diagnostic.code === 'ERR_DEAD_END_STATE')[0].state).to.equal('y');
+            expect(diagnostics.filter(diagnostic => diagnostic.code === 'ERR_UNREACHABLE_ACTION')[0].action).to.equal('jump');
+        });
+
+        it('reports handlers for unknown states and actions', function () {
+            let diagnostics = StateMachine.validate({
+                transitions: ['next : a > b'],
+                final: 'b',
+                invalid: true,
+                handlers: {'c:enter': () => {}, '@finish': () => {}}
+            });
+            expect(diagnostics.map(diagnostic => diagnostic.code)).to.deep.equal(['ERR_UNKNOWN_TARGET', 'ERR_UNKNOWN_TARGET']);
+            expect(diagnostics[0]).to.include({level: 'warning', state: 'c'});
+            expect(diagnostics[1].action).to.equal('finish');
+        });
+
+        it('runs no plugins, state functions, tracers or clocks', function () {
+            let calls = [];
+            let diagnostics = StateMachine.validate({
+                transitions: ['next : a > b'],
+                final: 'b',
+                start: true,
+                plugins: [() => { calls.push('plugin'); return {}; }],
+                states: {a: {enter: () => calls.push('enter'), activity: () => { calls.push('activity') }}},
+                trace: () => calls.push('trace'),
+                clock: {setTimeout: () => calls.push('clock'), clearTimeout: () => calls.push('clock')}
+            });
+            expect(diagnostics).to.deep.equal([]);
+            expect(calls).to.deep.equal([]);
+        });
+
+    });
+
+    describe('queue', function () {
+
+        function createQueued (queue)
+        {
+            let resume;
+            let fsm = new StateMachine({
+                errors: 0,
+                queue: queue || 'queue',
+                transitions: ['next : a > b > c', 'back : a < b < c'],
+                handlers: {
+                    'b:enter': () => new Promise(resolve => resume = resolve)
+                }
+            });
+            return {fsm, resume: () => resume()};
+        }
+
+        it('queues actions until the current transition ends', function () {
+            let {fsm, resume} = createQueued();
+            fsm.do('next');
+            let promise = fsm.do('next');
+            expect(fsm.queue.map(item => item.action)).to.deep.equal(['next']);
+            resume();
+            return promise.then(state => {
+                expect(state).to.equal('c');
+                expect(fsm.queue).to.deep.equal([]);
+            });
+        });
+
+        it('queues actions issued from handlers', function () {
+            let fsm = create({'b:enter': (event, fsm) => { fsm.do('next'); }});
+            return fsm.do('next').then(() => expect(fsm.state).to.equal('c'));
+        });
+
+        it('drops actions when configured', function () {
+            let {fsm, resume} = createQueued('drop');
+            let first = fsm.do('next');
+            let second = fsm.do('next');
+            expect(fsm.queue).to.deep.equal([]);
+            resume();
+            return second.then(() => {
+                throw new Error('should not resolve');
+            }, () => first.then(state => expect(state).to.equal('b')));
+        });
+
+        it('cancels the current transition when configured', function () {
+            let {fsm} = createQueued('cancel');
+            let first = fsm.do('next');
+            return fsm.do('back').then(() => {
+                throw new Error('should not resolve');
+            }, () => {
+                expect(fsm.state).to.equal('a');
+                return first.then(() => {
+                    throw new Error('should not resolve');
+                }, () => expect(fsm.isTransitioning()).to.equal(false));
+            });
+        });
+
+        it('clears the queue on reset', function () {
+            let {fsm} = createQueued();
+            fsm.do('next');
+            let promise = fsm.do('next');
+            fsm.reset();
+            expect(fsm.queue).to.deep.equal([]);
+            return promise.then(() => {
+                throw new Error('should not resolve');
+            }, () => expect(fsm.state).to.equal('a'));
+        });
+
+    });
+
+    describe('timed transitions', function () {
+
+        function createClock ()
+        {
+            let timers = {};
+            let id = 0;
+            return {
+                timers: timers,
+                setTimeout: (fn, delay) => {
+                    timers[++id] = {fn, delay};
+                    return id;
+                },
+                clearTimeout: id => delete timers[id],
+                tick: () => Object.keys(timers).forEach(id => {
+                    let timer = timers[id];
+                    delete timers[id];
+                    timer.fn();
+                })
+            };
+        }
+
+        function createTimed (clock)
+        {
+            return new StateMachine({
+                errors: 0,
+                clock: clock,
+                initial: 'idle',
+                transitions: [
+                    'wake : idle < sleep',
+                    'after 5s : idle > sleep',
+                    'dim after 500ms : sleep > off',
+                    'use : idle > busy'
+                ]
+            });
+        }
+
+        it('parses delays from shorthand', function () {
+            let fsm = createTimed(createClock());
+            expect(fsm.transitions.getDelayFor('idle', 'timeout')).to.equal(5000);
+            expect(fsm.transitions.getDelaysFrom('sleep')).to.deep.equal({dim: 500});
+        });
+
+        it('schedules timed transitions on entry', function () {
+            let clock = createClock();
+            let fsm = createTimed(clock);
+            expect(Object.keys(clock.timers).map(id => clock.timers[id].delay)).to.deep.equal([5000]);
+            clock.tick();
+            expect(fsm.state).to.equal('sleep');
+            clock.tick();
+            expect(fsm.state).to.equal('off');
+        });
+
+        it('cancels timed transitions on leave', function () {
+            let clock = createClock();
+            let fsm = createTimed(clock);
+            fsm.do('use');
+            expect(clock.timers).to.deep.equal({});
+            clock.tick();
+            expect(fsm.state).to.equal('busy');
+        });
+
+        it('cancels timed transitions on cancel', function () {
+            let clock = createClock();
+            let fsm = createTimed(clock);
+            fsm.cancel();
+            expect(clock.timers).to.deep.equal({});
+        });
+
+        it('reschedules timed transitions when leaving is cancelled', function () {
+            let clock = createClock();
+            let fsm = createTimed(clock);
+            fsm.on('idle:leave', () => false);
+            fsm.do('use');
+            expect(fsm.state).to.equal('idle');
+            expect(Object.keys(clock.timers).map(id => clock.timers[id].delay)).to.deep.equal([5000]);
+        });
+
+        it('passes the clock to parallel regions', function () {
+            let clock = createClock();
+            new StateMachine({
+                clock: clock,
+                regions: {
+                    screen: { transitions: ['after 5s : idle > sleep'] }
+                }
+            });
+            expect(Object.keys(clock.timers).map(id => clock.timers[id].delay)).to.deep.equal([5000]);
+        });
+
+        it('reschedules timed transitions on reset', function () {
+            let clock = createClock();
+            let fsm = createTimed(clock);
+            clock.tick();
+            fsm.reset();
+            expect(fsm.state).to.equal('idle');
+            expect(Object.keys(clock.timers).length).to.equal(1);
+        });
+
+    });
+
+    describe('context', function () {
+
+        function createContext (handlers)
+        {
+            return new StateMachine({
+                errors: 0,
+                context: {count: 0, name: ''},
+                transitions: [
+                    {action: 'next', from: 'a', to: 'b', assign: (context, name) => ({name})},
+                    {action: 'next', from: 'b', to: 'c', assign: {count: context => context.count + 1}},
+                    'back : a < b < c'
+                ],
+                handlers: handlers || {}
+            });
+        }
+
+        it('passes the context to handlers via the event', function () {
+            let context;
+            let fsm = createContext({'b:enter': event => { context = event.context; }});
+            return fsm.do('next', 'dave').then(() => expect(context).to.deep.equal({count: 0, name: ''}));
+        });
+
+        it('applies assign updaters when the transition completes', function () {
+            let fsm = createContext();
+            let initial = fsm.context;
+            return fsm.do('next', 'dave')
+                .then(() => fsm.do('next'))
+                .then(() => {
+                    expect(fsm.context).to.deep.equal({count: 1, name: 'dave'});
+                    expect(initial).to.deep.equal({count: 0, name: ''});
+                });
+        });
+
+        it('discards assign updaters when the transition is cancelled', function () {
+            let fsm = createContext({'b:enter': () => false});
+            return fsm.do('next', 'dave').then(() => {
+                throw new Error('should not resolve');
+            }, () => expect(fsm.context.name).to.equal(''));
+        });
+
+        it('rejects, and leaves the previous state, when an assign method does not exist', function () {
+            let fsm = new StateMachine({
+                errors: 0,
+                transitions: [{action: 'next', from: 'a', to: 'b', assign: 'missing'}, 'back : a < b']
+            });
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error.code).to.equal('ERR_UNKNOWN_METHOD');
+                expect(fsm.state).to.equal('a');
+                expect(fsm.isTransitioning()).to.be.false;
+            });
+        });
+
+        it('rejects, and runs queued actions, when an assign updater throws after an async handler', function () {
+            let fsm = new StateMachine({
+                errors: 0,
+                queue: 'queue',
+                transitions: [{action: 'next', from: 'a', to: 'b', assign: () => { throw new Error('failed') }}, 'skip : a > c'],
+                handlers: {'b:enter': () => Promise.resolve()}
+            });
+            let next = fsm.do('next');
+            let skip = fsm.do('skip');
+            return next.then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error.message).to.equal('failed');
+                return skip;
+            }).then(state => expect(state).to.equal('c'));
+        });
+
+        it('dispatches context events', function () {
+            let values = [];
+            let fsm = createContext({'system.context': event => values.push(event.value.name)});
+            return fsm.do('next', 'dave').then(() => {
+                fsm.reset();
+                expect(values).to.deep.equal(['dave', '']);
+            });
+        });
+
+    });
+
+    describe('states config', function () {
+
+        function createStates (log, enter)
+        {
+            return new StateMachine({
+                errors: 0,
+                transitions: ['next : a > b > c', 'back : a < b < c'],
+                states: {
+                    b: {
+                        enter: enter || (() => { log.push('enter') }),
+                        leave: () => { log.push('leave') },
+                        activity: (signal) => {
+                            log.push('start');
+                            return () => log.push('stop');
+                        }
+                    }
+                },
+                handlers: {
+                    'b:enter': () => { log.push('handler') }
+                }
+            });
+        }
+
+        it('calls enter and leave functions before handlers', function () {
+            let log = [];
+            let fsm = createStates(log);
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => expect(log).to.deep.equal(['enter', 'start', 'handler', 'leave', 'stop']));
+        });
+
+        it('keeps activities running when leaving is cancelled', function () {
+            let log = [];
+            let fsm = createStates(log);
+            fsm.on('c:enter', () => false);
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => {
+                    throw new Error('should not resolve');
+                }, () => {
+                    expect(fsm.state).to.equal('b');
+                    expect(log).to.deep.equal(['enter', 'start', 'handler', 'leave']);
+                    expect(Object.keys(fsm.activities)).to.deep.equal(['b']);
+                });
+        });
+
+        it('does not start activities if entering is cancelled', function () {
+            let log = [];
+            let fsm = createStates(log, () => false);
+            return fsm.do('next').then(() => {
+                throw new Error('should not resolve');
+            }, () => expect(log).to.deep.equal([]));
+        });
+
+        it('stops activities on forced transitions and reset', function () {
+            let log = [];
+            let fsm = createStates(log);
+            return fsm.go('b', true).then(() => {
+                expect(log).to.deep.equal(['start']);
+                fsm.reset();
+                expect(log).to.deep.equal(['start', 'stop']);
+            });
+        });
+
+    });
+
+    describe('parameter schemas', function () {
+
+        function createSchema (errors)
+        {
+            return new StateMachine({
+                errors: errors || 0,
+                transitions: ['submit : form > summary', 'move : form > form'],
+                schemas: {
+                    submit: {
+                        type: 'object',
+                        required: ['email'],
+                        properties: {
+                            email: {type: 'string', pattern: '@'},
+                            age: {type: 'integer', minimum: 18}
+                        }
+                    },
+                    move: [{type: 'number'}, {enum: ['up', 'down']}]
+                }
+            });
+        }
+
+        it('runs actions with valid parameters', function () {
+            let fsm = createSchema();
+            return fsm.do('submit', {email: 'a@b.com', age: 20}).then(state => expect(state).to.equal('summary'));
+        });
+
+        it('rejects actions with invalid parameters before creating a transition', function () {
+            let fsm = createSchema();
+            let promise = fsm.do('submit', {email: 'ab.com', age: 12});
+            expect(fsm.isTransitioning()).to.equal(false);
+            return promise.then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error.message).to.contain('params[0].email should match pattern "@"');
+                expect(error.message).to.contain('params[0].age should be >= 18');
+            });
+        });
+
+        it('validates each parameter against an array of schemas', function () {
+            let fsm = createSchema();
+            return fsm.do('move', 1, 'left').then(() => {
+                throw new Error('should not resolve');
+            }, error => expect(error.message).to.contain('params[1] should be one of ["up","down"]'));
+        });
+
+        it('throws when errors is 2', function () {
+            let fsm = createSchema(2);
+            expect(() => fsm.do('submit', {})).to.throw('params[0] should have required property "email"');
+        });
+
+    });
+
+    describe('errors', function () {
+
+        function createErrors (errors)
+        {
+            return new StateMachine({
+                errors: errors,
+                transitions: ['next : a > b > c']
+            });
+        }
+
+        it('rejects unavailable actions with a TransitionError and code', function () {
+            let fsm = createErrors(0);
+            return fsm.do('foo').then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error).to.be.an.instanceof(StateMachine.TransitionError);
+                expect(error).to.be.an.instanceof(StateMachine.StateMachineError);
+                expect(error).to.be.an.instanceof(Error);
+                expect(error.name).to.equal('TransitionError');
+                expect(error.code).to.equal('ERR_ACTION_UNAVAILABLE');
+                expect(error.details).to.deep.equal({action: 'foo', from: 'a'});
+            });
+        });
+
+        it('rejects missing states with a StateNotFoundError', function () {
+            let fsm = createErrors(0);
+            return fsm.go('x').then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error).to.be.an.instanceof(StateMachine.StateNotFoundError);
+                expect(error.code).to.equal('ERR_STATE_NOT_FOUND');
+                expect(error.details.state).to.equal('x');
+            });
+        });
+
+        it('throws a HandlerError for unrecognised handler targets', function () {
+            let fsm = createErrors(2);
+            try
+            {
+                fsm.on('@foo', () => {});
+                throw new Error('should have thrown');
+            }
+            catch(error)
+            {
+                expect(error).to.be.an.instanceof(StateMachine.HandlerError);
+                expect(error.code).to.equal('ERR_UNKNOWN_TARGET');
+                expect(error.details).to.deep.equal({id: '@foo', action: 'foo'});
+            }
+        });
+
+        it('throws a ParseError with the position of unrecognised patterns', function () {
+            let fsm = createErrors(2);
+            try
+            {
+                fsm.on('a:$', () => {});
+                throw new Error('should have thrown');
+            }
+            catch(error)
+            {
+                expect(error).to.be.an.instanceof(StateMachine.ParseError);
+                expect(error.code).to.equal('ERR_PARSE');
+                expect(error.details.path).to.equal('a:$');
+                expect(error.details.position).to.be.a('number');
+            }
+        });
+
+        it('throws a ConfigError for invalid transitions', function () {
+            expect(() => new StateMachine({transitions: ['next : a > *']})).to.throw(StateMachine.StateMachineError);
+        });
+
+        it('passes errors to a reporter function', function () {
+            let reported = [];
+            let fsm = createErrors( (error, machine) => reported.push([error.code, machine]) );
+            fsm.on('#x', () => {});
+            fsm.go('x');
+            expect(reported.map( item => item[0] )).to.deep.equal(['ERR_UNKNOWN_TARGET', 'ERR_STATE_NOT_FOUND']);
+            expect(reported[0][1]).to.equal(fsm);
+        });
+
+    });
+
+    describe('tracing', function () {
+
+        function createTraced (trace)
+        {
+            return new StateMachine({
+                trace: trace,
+                transitions: ['next : a > b > c'],
+                handlers: {
+                    'a:leave': function onLeave () {},
+                    'b:enter': function onEnter () { return Promise.resolve(); },
+                    '@next': () => {}
+                }
+            });
+        }
+
+        it('records the paths resolved from the order', function () {
+            let recorder = StateMachine.tracers.recorder();
+            let fsm = createTraced(recorder);
+            recorder.clear();
+            fsm.do('next');
+            let paths = recorder.get('path');
+            expect(paths[0]).to.include({order: 'action.*.start', path: 'action.*.start', handlers: 0});
+            expect(paths.filter( entry => entry.handlers ).map( entry => entry.order + ' > ' + entry.path )).to.deep.equal([
+                'action.{action}.start > action.next.start',
+                'state.{exit}.leave > state.a.leave',
+                'state.{enter}.enter > state.b.enter'
+            ]);
+        });
+
+        it('records each handler with its duration and result', function () {
+            let recorder = StateMachine.tracers.recorder();
+            let fsm = createTraced(recorder);
+            return fsm.do('next').then(() => {
+                let handlers = recorder.get('handler');
+                expect(handlers.map( entry => entry.name + ':' + entry.result )).to.deep.equal(['next:continue', 'onLeave:continue', 'onEnter:wait']);
+                expect(handlers[0]).to.include({path: 'action.next.start', action: 'next', from: 'a', to: 'b'});
+                expect(handlers[0].duration).to.be.a('number');
+                expect(recorder.get('settle')[0]).to.include({name: 'onEnter', result: 'continue'});
+            });
+        });
+
+        it('records system and transition events', function () {
+            let recorder = StateMachine.tracers.recorder();
+            let fsm = createTraced(recorder);
+            return fsm.do('next').then(() => {
+                let events = recorder.get('event').map( entry => entry.path );
+                expect(events).to.deep.equal(['system.start', 'system.change', 'transition.pause', 'transition.resume', 'system.history', 'system.change']);
+                expect(recorder.get('event').pop().value).to.equal('b');
+            });
+        });
+
+        it('pretty-prints entries to the console', function () {
+            let lines = [];
+            let fsm = createTraced(StateMachine.tracers.console({prefix: 'test', console: {log: line => lines.push(line)}}));
+            fsm.do('next');
+            expect(lines[0]).to.equal('[test] event    system.start');
+            expect(lines).to.include('[test] path     state.{exit}.leave > state.a.leave (1)');
+            expect(lines.some( line => /^\[test\] handler    state\.a\.leave onLeave [\d.]+ms > continue$/.test(line) )).to.equal(true);
+        });
+
+    });
+
+    describe('priorities and once', function () {
+
+        it('run handlers in descending priority, then in the order they were added', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('a:leave', () => calls.push('default'));
+            fsm.on('a:leave', () => calls.push('low'), {priority: -1});
+            fsm.on('a:leave', () => calls.push('high'), {priority: 10});
+            fsm.on('a:leave', () => calls.push('default 2'));
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['high', 'default', 'default 2', 'low']));
+        });
+
+        it('apply priorities to system events', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('change', () => calls.push('default'));
+            fsm.on('change', () => calls.push('high'), {priority: 1});
+            fsm.do('next');
+            expect(calls).to.deep.equal(['high', 'default']);
+        });
+
+        it('replace the options of handlers which are added again', function () {
+            let calls = [];
+            let fsm = create();
+            let fn = () => calls.push('fn');
+            fsm.on('a:leave', fn);
+            fsm.on('a:leave', () => calls.push('other'));
+            fsm.on('a:leave', fn, {priority: -1});
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['other', 'fn']));
+        });
+
+        it('run once() handlers only once', function () {
+            let calls = 0;
+            let changes = 0;
+            let fsm = create();
+            fsm.once('@next', () => calls++);
+            fsm.once('change', () => changes++);
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => {
+                    expect(calls).to.equal(1);
+                    expect(changes).to.equal(1);
+                    expect(fsm.handlers.get('action.next.start')).to.equal(undefined);
+                });
+        });
+
+        it('run once handlers passed as an option', function () {
+            let calls = 0;
+            let fsm = create();
+            fsm.on('b:enter', () => calls++, {once: true});
+            return fsm.do('next')
+                .then(() => fsm.do('back'))
+                .then(() => fsm.do('next'))
+                .then(() => expect(calls).to.equal(1));
+        });
+
+        it('can be removed with off()', function () {
+            let calls = 0;
+            let fsm = create();
+            let fn = () => calls++;
+            fsm.on('a:leave', fn, {priority: 5});
+            fsm.off('a:leave', fn);
+            expect(fsm.handlers.getOptions('state.a.leave', fn)).to.equal(null);
+            return fsm.do('next').then(() => expect(calls).to.equal(0));
+        });
+
+    });
+
+    describe('tags and unsubscribing', function () {
+
+        it('remove tagged handlers across namespaces with off()', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('change.analytics', () => calls.push('change'));
+            fsm.on('a:leave.analytics', () => calls.push('leave'));
+            fsm.on('@next.analytics', () => calls.push('next'));
+            fsm.on('change', () => calls.push('untagged'));
+            fsm.off('.analytics');
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['untagged']));
+        });
+
+        it('remove tagged handlers from one event with off()', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('change.analytics', () => calls.push('change'));
+            fsm.on('a:leave.analytics', () => calls.push('leave'));
+            fsm.on('change.other', () => calls.push('other'));
+            fsm.off('change.analytics');
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['leave', 'other']));
+        });
+
+        it('remove tagged handlers from parallel regions with off()', function () {
+            let calls = [];
+            let fsm = new StateMachine({
+                regions: {
+                    network: { transitions: ['disconnect : online > offline'] },
+                    editor: { transitions: ['edit : view > edit'] }
+                }
+            });
+            fsm.on('offline:enter.analytics', () => calls.push('offline'));
+            fsm.on('change.analytics', () => calls.push('change'));
+            fsm.off('.analytics');
+            return fsm.do('disconnect').then(() => expect(calls).to.deep.equal([]));
+        });
+
+        it('return an unsubscribe function from on() and once()', function () {
+            let calls = 0;
+            let fsm = create();
+            let off = fsm.on('(a:leave b:leave)', () => calls++);
+            fsm.once('change', () => calls++)();
+            off();
+            off();
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => expect(calls).to.equal(0));
+        });
+
+        it('allow calls to be chained', function () {
+            let calls = [];
+            let fsm = create();
+            fsm
+                .on('a:leave', () => calls.push('leave'))
+                .once('b:enter', () => calls.push('enter'))
+                .off('a:leave')
+                .on('change', () => calls.push('change'));
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['enter', 'change']));
+        });
+
+    });
+
+    describe('negated handlers', function () {
+
+        it('run for every state except those excluded', function () {
+            let states = [];
+            let fsm = create();
+            fsm.on('!(a c):enter', event => states.push(event.to));
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => fsm.do('back'))
+                .then(() => expect(states).to.deep.equal(['b', 'b']));
+        });
+
+        it('run for every action except those excluded', function () {
+            let actions = [];
+            let fsm = create();
+            fsm.on('!@back', event => actions.push(event.action));
+            return fsm.do('next')
+                .then(() => fsm.do('back'))
+                .then(() => expect(actions).to.deep.equal(['next']));
+        });
+
+        it('report unrecognised excluded states', function () {
+            let fsm = create();
+            expect(() => fsm.on('!x:enter', () => {})).not.to.throw();
+            fsm.config.errors = 2;
+            expect(() => fsm.on('!x:enter', () => {})).to.throw(StateMachine.HandlerError);
+        });
+
+    });
+
+    describe('pattern handlers', function () {
+
+        function createSteps ()
+        {
+            return new StateMachine({
+                errors: 0,
+                transitions: [
+                    'next : step1 > step2 > admin_review > done'
+                ]
+            });
+        }
+
+        it('run for states matching globs', function () {
+            let states = [];
+            let fsm = createSteps();
+            fsm.on('step*:enter', event => states.push(event.to));
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => expect(states).to.deep.equal(['step2']));
+        });
+
+        it('run for states matching regular expressions', function () {
+            let states = [];
+            let fsm = createSteps();
+            fsm.on('/^admin_/:leave', event => states.push(event.from));
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => fsm.do('next'))
+                .then(() => expect(states).to.deep.equal(['admin_review']));
+        });
+
+        it('run for actions matching globs', function () {
+            let actions = [];
+            let fsm = createSteps();
+            fsm.add('next_admin : step1 > admin_review');
+            fsm.on('@next_*', event => actions.push(event.action));
+            return fsm.do('next_admin').then(() => expect(actions).to.deep.equal(['next_admin']));
+        });
+
+        it('run for states added after the handler', function () {
+            let states = [];
+            let fsm = createSteps();
+            fsm.on('step*:enter', event => states.push(event.to));
+            fsm.add('skip : step1 > step3');
+            return fsm.do('skip').then(() => expect(states).to.deep.equal(['step3']));
+        });
+
+        it('are removed by off() without removing other handlers for the same event', function () {
+            let calls = [];
+            let fsm = createSteps();
+            fsm.on(':enter', event => calls.push('all:' + event.to));
+            fsm.on('step*:enter', event => calls.push('step:' + event.to));
+            fsm.on('admin_*:enter', event => calls.push('admin:' + event.to));
+            fsm.off('step*:enter');
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => expect(calls).to.deep.equal(['all:step2', 'all:admin_review', 'admin:admin_review']));
+        });
+
+        it('can add the same function for different patterns', function () {
+            let states = [];
+            let fsm = createSteps();
+            let fn = event => { states.push(event.to) };
+            fsm.on('step*:enter', fn);
+            fsm.on('admin_*:enter', fn);
+            fsm.once(':enter', fn);
+            return fsm.do('next')
+                .then(() => {
+                    fsm.off('admin_*:enter', fn);
+                    return fsm.do('next');
+                })
+                .then(() => fsm.do('next'))
+                .then(() => expect(states).to.deep.equal(['step2', 'step2']));
+        });
+
+        it('skip states matching negated patterns', function () {
+            let states = [];
+            let fsm = createSteps();
+            fsm.on('!step*:enter', event => states.push(event.to));
+            return fsm.do('next')
+                .then(() => fsm.do('next'))
+                .then(() => fsm.do('next'))
+                .then(() => expect(states).to.deep.equal(['admin_review', 'done']));
+        });
+
+    });
+
+    describe('events', function () {
+
+        it('expose the transition\'s action, from, to, params and timestamp', function () {
+            let events = [];
+            let fsm = create();
+            fsm.on('(@next a:leave)', event => events.push(event));
+            let time = Date.now();
+            return fsm.do('next', 1, 2).then(() => {
+                events.forEach( event => {
+                    expect(event.action).to.equal('next');
+                    expect(event.from).to.equal('a');
+                    expect(event.to).to.equal('b');
+                    expect(event.params).to.deep.equal([1, 2]);
+                    expect(event.timestamp).to.be.at.least(time);
+                });
+                expect(events.map(event => event.namespace)).to.deep.equal(['action', 'state']);
+            });
+        });
+
+        it('cancel the transition with cancel(), skipping remaining handlers', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('a:leave', event => { calls.push('leave'); event.cancel(); });
+            fsm.on('b:enter', () => calls.push('enter'));
+            let promise = fsm.do('next');
+            expect(fsm.state).to.equal('a');
+            return promise.then(() => expect.fail(), error => {
+                expect(error.code).to.equal('ERR_CANCELLED');
+                expect(calls).to.deep.equal(['leave']);
+            });
+        });
+
+        it('cancel the transition with preventDefault()', function () {
+            let prevented;
+            let fsm = create();
+            fsm.on('a:leave', event => { event.preventDefault(); prevented = event.defaultPrevented; });
+            return fsm.do('next').then(() => expect.fail(), () => {
+                expect(prevented).to.equal(true);
+                expect(fsm.state).to.equal('a');
+            });
+        });
+
+        it('pause and resume the transition', function () {
+            let saved;
+            let fsm = create();
+            fsm.on('a:leave', event => { saved = event.pause(); });
+            let promise = fsm.do('next');
+            expect(fsm.isPaused()).to.equal(true);
+            saved.resume();
+            return promise.then(() => expect(fsm.state).to.equal('b'));
+        });
+
+        it('skip remaining handlers for the same path with stopImmediatePropagation()', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('a:leave', event => { calls.push('first'); event.stopImmediatePropagation(); });
+            fsm.on('a:leave', () => calls.push('second'));
+            fsm.on(':leave', () => calls.push('any'));
+            fsm.on('b:enter', () => calls.push('enter'));
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['first', 'enter']));
+        });
+
+        it('skip handlers for the same event on other targets with stopPropagation()', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('a:leave', event => { calls.push('first'); event.stopPropagation(); });
+            fsm.on('a:leave', () => calls.push('second'));
+            fsm.on(':leave', () => calls.push('any'));
+            fsm.on(':enter', () => calls.push('enter'));
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['first', 'second', 'enter']));
+        });
+
+        it('stop immediate propagation of system events', function () {
+            let calls = [];
+            let fsm = create();
+            fsm.on('change', event => { calls.push(event.value); event.stopImmediatePropagation(); });
+            fsm.on('change', () => calls.push('second'));
+            fsm.do('next');
+            expect(calls).to.deep.equal(['b']);
+        });
+
+        it('pass the transition and value to transition events', function () {
+            let events = [];
+            let fsm = create();
+            fsm.on('a:leave', () => true);
+            fsm.on('(pause cancel)', event => events.push(event));
+            let promise = fsm.do('next');
+            fsm.cancel();
+            return promise.catch(() => {
+                expect(events.map(event => [event.type, event.value, event.action, event.from, event.to])).to.deep.equal([
+                    ['pause', true, 'next', 'a', 'b'],
+                    ['cancel', false, 'next', 'a', 'b']
+                ]);
+            });
+        });
+
+    });
+
+    describe('plugins', function () {
+
+        function createPlugged (plugin)
+        {
+            return new StateMachine({
+                errors: 0,
+                transitions: ['next : a > b > c'],
+                handlers: {
+                    'a:leave': function onLeave () {},
+                    'b:enter': function onEnter () {}
+                },
+                plugins: [plugin]
+            });
+        }
+
+        it('block actions from beforeAction', function () {
+            let fsm = createPlugged({beforeAction: (action, params) => params[0] === 'admin'});
+            return fsm.do('next', 'guest').then(() => {
+                throw new Error('should not resolve');
+            }, error => {
+                expect(error.code).to.equal('ERR_BLOCKED');
+                expect(fsm.state).to.equal('a');
+                return fsm.do('next', 'admin').then(state => expect(state).to.equal('b'));
+            });
+        });
+
+        it('intercept and skip handlers', function () {
+            let calls = [];
+            let fsm = createPlugged({
+                beforeHandler: info => info.name !== 'onEnter',
+                afterHandler: info => calls.push(info.path + ':' + info.result)
+            });
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['state.a.leave:continue']));
+        });
+
+        it('are notified of completed transitions and errors', function () {
+            let transitions = [];
+            let errors = [];
+            let fsm = createPlugged({
+                afterTransition: transition => transitions.push(transition.from + '>' + transition.to),
+                onError: error => errors.push(error.code)
+            });
+            return fsm.do('next')
+                .then(() => fsm.do('foo'))
+                .catch(() => {
+                    expect(transitions).to.deep.equal(['a>b']);
+                    expect(errors).to.deep.equal(['ERR_ACTION_UNAVAILABLE']);
+                });
+        });
+
+        it('are notified of cancelled transitions', function () {
+            let errors = [];
+            let fsm = createPlugged({onError: error => errors.push(error.code)});
+            fsm.on('a:leave', () => false);
+            return fsm.do('next').catch(() => expect(errors).to.deep.equal(['ERR_CANCELLED']));
+        });
+
+        it('are notified of states and actions being added and removed', function () {
+            let calls = [];
+            let fsm = createPlugged({
+                onAdd: (type, name) => calls.push('+' + type + ':' + name),
+                onRemove: (type, name) => calls.push('-' + type + ':' + name)
+            });
+            fsm.add('skip', 'a', 'd');
+            fsm.remove('d');
+            expect(calls).to.deep.equal(['+state:d', '+action:skip', '-state:d', '-action:skip']);
+        });
+
+        it('are notified of errors thrown by handlers', function () {
+            let error = new Error('invalid');
+            let errors = [];
+            let fsm = createPlugged({onError: error => errors.push(error)});
+            fsm.on('b:enter', () => { throw error; });
+            return fsm.do('next').catch(() => expect(errors).to.deep.equal([error]));
+        });
+
+        it('are called by parallel regions', function () {
+            let calls = [];
+            let fsm = new StateMachine({
+                regions: {
+                    player: { transitions: ['play : stopped > playing'] },
+                    volume: { transitions: ['mute : loud > muted'] }
+                },
+                plugins: [{
+                    beforeAction: action => action !== 'mute',
+                    afterTransition: transition => calls.push(transition.action)
+                }]
+            });
+            return fsm.do('play')
+                .then(() => fsm.do('mute'))
+                .then(() => {
+                    throw new Error('should not resolve');
+                }, error => {
+                    expect(error.code).to.equal('ERR_BLOCKED');
+                    expect(calls).to.deep.equal(['play']);
+                    expect(fsm.state).to.deep.equal({player: 'playing', volume: 'loud'});
+                });
+        });
+
+        it('are all notified, whatever notification hooks return', function () {
+            let calls = [];
+            let fsm = createPlugged({
+                afterHandler: () => false,
+                afterTransition: () => false
+            });
+            fsm.use({
+                afterHandler: info => calls.push(info.path),
+                afterTransition: transition => calls.push(transition.to)
+            });
+            return fsm.do('next').then(() => expect(calls).to.deep.equal(['state.a.leave', 'state.b.enter', 'b']));
+        });
+
+        it('can be added with use() as a factory function', function () {
+            let fsm = createPlugged({});
+            let machine = null;
+            let result = fsm.use( instance => {
+                machine = instance;
+                return {};
+            });
+            expect(result).to.equal(fsm);
+            expect(machine).to.equal(fsm);
+        });
+
+    });
+
+});
@@ -0,0 +1,27 @@
+import StateMachine = require('../../lib/StateMachine');
+import StateHelper = require('../../lib/StateHelper');
+
+const fsm = new StateMachine<'a' | 'b', 'next'>({transitions: ['next : a > b']});
+const helper = StateHelper.object(fsm);
+
+const name: 'a' | 'b' | '' = helper.data.name;
+const states: Array<'a' | 'b'> = helper.data.all.states;
+const enabled: boolean | undefined = helper.data.actions.next;
+
+// @ts-expect-error unknown action
+helper.data.actions.back;
+
+const store = StateHelper.store(fsm);
+const actions: Array<'next'> = store.getState().actions;
+store.dispatch({type: 'next', payload: 1}).then((state: 'a' | 'b') => state);
+const unsubscribe: () => void = store.subscribe(() => {});
+
+// @ts-expect-error unknown action
+store.dispatch({type: 'back'});
+
+const { useStateMachine } = StateHelper.react({});
+const value = useStateMachine(fsm);
+const can: boolean = value.can('next');
+
+// @ts-expect-error unknown state
+value.go('c');
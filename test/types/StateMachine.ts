@@ -0,0 +1,116 @@
+import StateMachine = require('../../lib/StateMachine');
+
+type State = 'intro' | 'form' | 'summary';
+type Action = 'next' | 'back';
+
+const fsm = new StateMachine<State, Action, {email: string}>({
+    transitions: [
+        'next : intro > form > summary',
+        {action: 'back', from: 'form', to: 'intro', assign: {email: () => ''}}
+    ],
+    context: {email: ''},
+    initial: 'intro',
+    final: 'summary',
+    queue: 'drop',
+    schemas: {
+        next: {type: 'object', required: ['email']}
+    },
+    states: {
+        form: {
+            activity: (signal, fsm) => () => {}
+        }
+    }
+});
+
+// actions and states
+fsm.do('next', {email: 'a@b.com'}).then((state: State) => state);
+fsm.go('summary', true);
+fsm.canDo('back');
+fsm.is('form');
+
+// @ts-expect-error unknown action
+fsm.do('nxt');
+
+// @ts-expect-error unknown state
+fsm.go('sumary');
+
+// handlers
+fsm.on('change', (event, fsm) => {});
+fsm.on('intro:leave', event => {
+    const from: State | '' = event.from;
+    console.log(event.params, event.timestamp);
+    event.stopImmediatePropagation().cancel();
+});
+fsm.on('intro:enter', () => false);
+fsm.on('@next:start', () => Promise.resolve());
+fsm.on('form@back', () => true);
+fsm.on('intro:leave form:enter', () => {});
+fsm.on('(intro form):enter', () => {});
+
+// @ts-expect-error unknown event type
+fsm.on('intro:entr', () => {});
+
+// @ts-expect-error unknown action in one of several paths
+fsm.on('intro:enter @nxt', () => {});
+
+// transition map
+const actions: Action[] = fsm.transitions.getActionsFrom('intro');
+const dot: string = fsm.transitions.toDot({wildcards: 'expand'});
+
+// context
+const email: string = fsm.context.email;
+
+// static methods
+const diagnostics: StateMachine.Diagnostic[] = StateMachine.validate({transitions: ['next : a > b']});
+const copy = StateMachine.fromJSON<State, Action>(JSON.stringify(fsm));
+
+// untyped machines accept any state or action
+const loose = new StateMachine({transitions: ['next : a > b']});
+loose.do('anything');
+loose.on('anything:enter', () => {});
+
+// errors
+const logged = new StateMachine({
+    transitions: ['next : a > b'],
+    errors: (error, fsm) => console.log(error.code, error.details)
+});
+logged.do('next').catch(error => {
+    if(error instanceof StateMachine.TransitionError) {
+        const code: StateMachine.ErrorCode = error.code;
+    }
+});
+
+// tracing
+const recorder = StateMachine.tracers.recorder();
+const traced = new StateMachine({transitions: ['next : a > b'], trace: recorder});
+const durations: number[] = recorder.get('handler').map(entry => entry.duration);
+new StateMachine({transitions: ['next : a > b'], trace: StateMachine.tracers.console({prefix: 'app'})});
+
+// plugins
+fsm.use({
+    beforeAction: (action: Action, params) => action !== 'back',
+    afterTransition: transition => console.log(transition.from, transition.to),
+    onError: error => console.log(error.code)
+});
+fsm.use(machine => ({afterHandler: info => console.log(info.result, machine.state)}));
+
+// priorities and once
+fsm.on('intro:leave', () => {}, {priority: 10});
+fsm.once('change', () => {});
+
+// combinations, lists and negation
+fsm.on('(intro form)@(next back):start', () => {});
+fsm.on('intro:leave, @next', () => {});
+fsm.on('!intro:enter', () => {});
+fsm.on('!@next:end next:end', () => {});
+// @ts-expect-error only states and actions can be negated
+fsm.on('!change', () => {});
+fsm.on('step*:enter', () => {});
+fsm.on('/^admin_/:leave', () => {});
+
+// tags and unsubscribing
+const unsubscribe = fsm.on('change.analytics', () => {}).on('intro:leave.analytics', () => {});
+unsubscribe();
+fsm.once('@next.analytics', () => {}).off('.analytics').off('change');
+// @ts-expect-error
+fsm.on('intro.analytics', () => {});